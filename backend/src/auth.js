@@ -0,0 +1,191 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { BrainError } from './errors.js';
+
+const MINUTE_MS = 60 * 1000;
+
+function numberEnv(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+function normalizeKey(entry, index, defaults) {
+  if (!entry) return null;
+  const raw = typeof entry === 'string' ? { token: entry } : entry;
+  const token = typeof raw.token === 'string' ? raw.token.trim() : '';
+  if (!token) return null;
+  const limit = Number(raw.rateLimitPerMinute);
+  const quota = Number(raw.dailyQuota);
+  return {
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `key-${index + 1}`,
+    hash: hashToken(token),
+    rateLimitPerMinute: Number.isFinite(limit) && limit >= 0 ? limit : defaults.rateLimitPerMinute,
+    dailyQuota: Number.isFinite(quota) && quota >= 0 ? quota : defaults.dailyQuota
+  };
+}
+
+export function loadKeys({
+  file = process.env.BRAIN_KEYS_FILE,
+  inline = process.env.BRAIN_API_KEYS
+} = {}) {
+  const defaults = {
+    rateLimitPerMinute: numberEnv('BRAIN_RATE_LIMIT_PER_MINUTE', 60),
+    dailyQuota: numberEnv('BRAIN_DAILY_QUOTA', 0)
+  };
+  const entries = [];
+  if (file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    entries.push(...(Array.isArray(parsed) ? parsed : parsed?.keys || []));
+  }
+  if (inline) {
+    for (const item of inline.split(',')) {
+      const value = item.trim();
+      if (!value) continue;
+      const idx = value.indexOf(':');
+      entries.push(idx > 0 ? { name: value.slice(0, idx), token: value.slice(idx + 1) } : value);
+    }
+  }
+  return {
+    defaults,
+    keys: entries.map((entry, index) => normalizeKey(entry, index, defaults)).filter(Boolean)
+  };
+}
+
+function findKey(keys, token) {
+  const hash = hashToken(token);
+  return keys.find((key) => crypto.timingSafeEqual(key.hash, hash)) || null;
+}
+
+function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+export function createAuth(config = loadKeys()) {
+  const { keys, defaults } = config;
+  const requireAuth = process.env.BRAIN_REQUIRE_AUTH
+    ? process.env.BRAIN_REQUIRE_AUTH === '1'
+    : keys.length > 0;
+  const anonymousFallback = process.env.BRAIN_ALLOW_ANONYMOUS_FALLBACK === '1';
+  const metricsToken = process.env.METRICS_TOKEN ? hashToken(process.env.METRICS_TOKEN) : null;
+  const windows = new Map();
+  const daily = new Map();
+  let prunedAt = 0;
+
+  const prune = (now) => {
+    if (now - prunedAt < MINUTE_MS) return;
+    prunedAt = now;
+    for (const [client, stamps] of windows) {
+      const recent = stamps.filter((ts) => now - ts < MINUTE_MS);
+      if (recent.length) windows.set(client, recent);
+      else windows.delete(client);
+    }
+    const day = utcDay(now);
+    for (const [client, usage] of daily) {
+      if (usage.day !== day) daily.delete(client);
+    }
+  };
+
+  const authenticate = (req, _res, next) => {
+    const header = req.get('authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (match) {
+      const key = findKey(keys, match[1].trim());
+      if (!key) {
+        next(new BrainError('invalid_token', 'invalid_token', { status: 401 }));
+        return;
+      }
+      req.auth = { authenticated: true, client: key.name, key };
+      next();
+      return;
+    }
+    if (requireAuth) {
+      next(new BrainError('auth_required', 'auth_required', { status: 401 }));
+      return;
+    }
+    req.auth = {
+      authenticated: false,
+      client: `anonymous:${req.ip || 'unknown'}`,
+      key: { name: null, rateLimitPerMinute: defaults.rateLimitPerMinute, dailyQuota: defaults.dailyQuota }
+    };
+    next();
+  };
+
+  const authenticateMetrics = (req, res, next) => {
+    if (!metricsToken) {
+      authenticate(req, res, (error) => {
+        if (error || req.auth.authenticated) next(error);
+        else next(new BrainError('auth_required', 'auth_required', { status: 401 }));
+      });
+      return;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (match && crypto.timingSafeEqual(hashToken(match[1].trim()), metricsToken)) {
+      next();
+      return;
+    }
+    next(new BrainError(match ? 'invalid_token' : 'auth_required', match ? 'invalid_token' : 'auth_required', { status: 401 }));
+  };
+
+  const meter = (req, res, next) => {
+    const auth = req.auth;
+    if (!auth) {
+      next();
+      return;
+    }
+    const now = Date.now();
+    prune(now);
+    const limit = auth.key.rateLimitPerMinute;
+    if (limit > 0) {
+      const recent = (windows.get(auth.client) || []).filter((ts) => now - ts < MINUTE_MS);
+      if (recent.length >= limit) {
+        windows.set(auth.client, recent);
+        const retryAfterMs = MINUTE_MS - (now - recent[0]);
+        next(new BrainError('rate_limited', `rate_limited: ${limit} calls per minute`, {
+          status: 429, retryable: true, retryAfterMs
+        }));
+        return;
+      }
+      recent.push(now);
+      windows.set(auth.client, recent);
+    }
+    const quota = auth.key.dailyQuota;
+    if (quota > 0) {
+      const day = utcDay(now);
+      const usage = daily.get(auth.client);
+      const count = usage?.day === day ? usage.count : 0;
+      if (count >= quota) {
+        const tomorrow = Date.parse(`${day}T00:00:00.000Z`) + 24 * 60 * MINUTE_MS;
+        next(new BrainError('quota_exceeded', `quota_exceeded: ${quota} calls per day`, {
+          status: 429, retryable: false, retryAfterMs: tomorrow - now
+        }));
+        return;
+      }
+      daily.set(auth.client, { day, count: count + 1 });
+      res.set('X-Quota-Remaining', String(quota - count - 1));
+    }
+    next();
+  };
+
+  return {
+    requireAuth,
+    keyCount: keys.length,
+    authenticate,
+    authenticateMetrics,
+    meter,
+    trackedClients() {
+      return { windows: windows.size, daily: daily.size };
+    },
+    allowFallbackKeys(req) {
+      return Boolean(req.auth?.authenticated) || anonymousFallback;
+    }
+  };
+}
+
+export default {
+  loadKeys,
+  createAuth
+};
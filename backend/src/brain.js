@@ -1,9 +1,31 @@
 import crypto from 'node:crypto';
-import { callCritic, callAssistantDecision, buildBootstrapSystemPrompt } from './llm.js';
+import { callCritic, callAssistantDecision, buildBootstrapSystemPrompt, buildVerifierSystemPrompt } from './llm.js';
+import { createSessionStore, SESSION_ID_PATTERN } from './sessions.js';
+import { resetOfflineSteps } from './providers.js';
+import { validateDecision, checkSchema, CRITIC_ACTION_SCHEMAS, BOOTSTRAP_ACTION_SCHEMAS } from './schema.js';
+import { actionsTotal, decisionFailures, decisionRepairs, verificationsTotal } from './metrics.js';
+import { emptyUsage, addUsage } from './pricing.js';
 
 const MODES = new Set(['browser']);
+const REPAIR_ENABLED = process.env.CRITIC_REPAIR !== '0';
+const ACTION_HISTORY_MAX = 50;
+const ACTION_HISTORY_WINDOW = (() => {
+  const parsed = Number(process.env.CRITIC_ACTION_HISTORY);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : 8;
+})();
+const OUTCOME_STATUSES = new Set([
+  'ok',
+  'failed',
+  'no_effect',
+  'rejected',
+  'skipped',
+  'await_assistance',
+  'click_unresolved',
+  'unsupported',
+  'unanswered'
+]);
 
-const sessions = new Map();
+const sessions = createSessionStore();
 
 function touchSession(session) {
   if (session) {
@@ -12,30 +34,43 @@ function touchSession(session) {
   return session;
 }
 
+function saveSession(session) {
+  if (!session) return session;
+  return sessions.save(touchSession(session));
+}
+
 function createSession(initial = {}) {
   const session = {
     id: crypto.randomUUID(),
+    owner: null,
     completeHistory: [],
+    actionHistory: [],
     contextNotes: '',
     currentUrl: '',
+    usage: emptyUsage(),
     createdAt: Date.now(),
     updatedAt: Date.now(),
     ...initial
   };
-  sessions.set(session.id, session);
-  return session;
+  return sessions.save(session);
+}
+
+function ownedBy(session, owner) {
+  return (session.owner ?? null) === (owner ?? null);
 }
 
-function getSession(sessionId) {
+function getSession(sessionId, owner = null) {
   if (!sessionId) return null;
-  const session = sessions.get(sessionId) || null;
-  return touchSession(session);
+  const session = sessions.get(sessionId);
+  return session && ownedBy(session, owner) ? touchSession(session) : null;
 }
 
-function ensureSession(sessionId) {
-  const existing = getSession(sessionId);
+function ensureSession(sessionId, owner = null) {
+  const existing = getSession(sessionId, owner);
   if (existing) return existing;
-  return createSession();
+  if (sessionId && sessions.get(sessionId)) throw new Error('session_not_found');
+  const reuseId = typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+  return createSession(reuseId ? { id: sessionId, owner } : { owner });
 }
 
 function assertMode(mode) {
@@ -58,6 +93,138 @@ function sanitizeScreenshot(input) {
   return trimmed;
 }
 
+const MAX_TABS = 20;
+const OUTPUT_SCHEMA_MAX_CHARS = 20000;
+
+function sanitizeTabs(input) {
+  if (!Array.isArray(input)) return null;
+  return input
+    .filter((tab) => tab && typeof tab === 'object')
+    .slice(0, MAX_TABS)
+    .map((tab) => ({
+      id: String(tab.id ?? ''),
+      title: typeof tab.title === 'string' ? tab.title.slice(0, 200) : '',
+      url: typeof tab.url === 'string' ? tab.url.slice(0, 500) : '',
+      active: tab.active === true
+    }));
+}
+
+const MAX_MARKS = 200;
+
+function sanitizeMarks(input) {
+  if (!Array.isArray(input)) return [];
+  return input
+    .filter((item) => item && Number.isInteger(Number(item.mark)))
+    .slice(0, MAX_MARKS)
+    .map((item) => ({
+      mark: Number(item.mark),
+      name: typeof item.name === 'string' ? item.name.slice(0, 120) : '',
+      role: typeof item.role === 'string' ? item.role : ''
+    }));
+}
+
+function sanitizeEffect(input) {
+  if (!input || typeof input !== 'object') return null;
+  const pick = {};
+  for (const key of ['action', 'url', 'focus', 'note']) {
+    if (typeof input[key] === 'string') pick[key] = input[key].slice(0, 300);
+  }
+  for (const key of ['changed', 'url_changed', 'tab_changed', 'focus_changed']) {
+    if (typeof input[key] === 'boolean') pick[key] = input[key];
+  }
+  for (const key of ['step', 'screen_diff', 'dom_mutations']) {
+    if (Number.isFinite(input[key])) pick[key] = input[key];
+  }
+  return pick;
+}
+
+function sanitizeStuck(input) {
+  if (!input || typeof input !== 'object' || !Number.isInteger(input.level)) return null;
+  const list = (value) => (Array.isArray(value)
+    ? value.filter((item) => typeof item === 'string' && item.trim()).slice(0, 10).map((item) => item.slice(0, 200))
+    : []);
+  return {
+    level: input.level,
+    reason: typeof input.reason === 'string' ? input.reason.slice(0, 60) : 'unknown',
+    repeated: list(input.repeated),
+    avoid: input.level >= 2 ? list(input.avoid) : []
+  };
+}
+
+function summarizeDecision(decision) {
+  const target = decision.target || {};
+  const text = target.hints?.text_exact?.[0] || target.hints?.text?.[0] || null;
+  const entry = { action: decision.action };
+  if (text) entry.target = String(text).slice(0, 120);
+  if (Number.isInteger(target.mark)) entry.mark = target.mark;
+  if (typeof target.content === 'string') entry.content = target.content.slice(0, 120);
+  if (decision.scroll?.direction) entry.scroll = decision.scroll.direction;
+  for (const key of ['url', 'key', 'tab']) {
+    if (typeof decision[key] === 'string') entry[key] = decision[key].slice(0, 300);
+  }
+  if (typeof decision.question === 'string') entry.question = decision.question.slice(0, 200);
+  if (typeof decision.reason === 'string') entry.reason = decision.reason.slice(0, 200);
+  return entry;
+}
+
+function sanitizeOutcome(input) {
+  if (!input || typeof input !== 'object') return null;
+  if (!OUTCOME_STATUSES.has(input.status)) throw new Error('invalid_outcome_status');
+  const outcome = { status: input.status };
+  if (typeof input.error === 'string' && input.error.trim()) outcome.error = input.error.trim().slice(0, 300);
+  if (typeof input.detail === 'string' && input.detail.trim()) outcome.detail = input.detail.trim().slice(0, 300);
+  if (typeof input.changed === 'boolean') outcome.changed = input.changed;
+  return outcome;
+}
+
+function appendAction(session, decision) {
+  if (!decision?.action) return null;
+  const history = Array.isArray(session.actionHistory) ? session.actionHistory : [];
+  const id = (history.length ? history[history.length - 1].id : 0) + 1;
+  const entry = { id, ...summarizeDecision(decision), outcome: null, at: Date.now() };
+  session.actionHistory = [...history, entry].slice(-ACTION_HISTORY_MAX);
+  return entry;
+}
+
+function applyOutcome(session, input, effect = null) {
+  const history = Array.isArray(session.actionHistory) ? session.actionHistory : [];
+  const outcome = sanitizeOutcome(input);
+  const entry = Number.isInteger(input?.actionId)
+    ? history.find((item) => item.id === input.actionId)
+    : [...history].reverse().find((item) => !item.outcome);
+  if (!entry) return null;
+  if (outcome) entry.outcome = outcome;
+  if (effect && typeof effect.changed === 'boolean' && entry.outcome) {
+    entry.outcome.changed = effect.changed;
+    if (entry.outcome.status === 'ok' && !effect.changed) entry.outcome.status = 'no_effect';
+  }
+  return entry;
+}
+
+function actionHistoryWindow(session) {
+  if (!ACTION_HISTORY_WINDOW) return [];
+  return (session.actionHistory || []).slice(-ACTION_HISTORY_WINDOW).map(({ at, ...entry }) => entry);
+}
+
+function sanitizeOutputSchema(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('invalid_output_schema');
+  if (JSON.stringify(input).length > OUTPUT_SCHEMA_MAX_CHARS) throw new Error('output_schema_too_large');
+  const errors = checkSchema(input);
+  if (errors.length) {
+    throw new Error(`invalid_output_schema: ${formatViolations(errors).slice(0, 10).join('; ')}`);
+  }
+  return input;
+}
+
+function applyTabs(session, tabs) {
+  const clean = sanitizeTabs(tabs);
+  if (!clean) return;
+  session.tabs = clean;
+  const active = clean.find((tab) => tab.active);
+  if (active?.url) session.currentUrl = active.url;
+}
+
 export function extractCompletes(decision, store = []) {
   if (!decision) return Array.isArray(store) ? [...store] : [];
   const current = Array.isArray(store) ? [...store] : [];
@@ -77,14 +244,208 @@ export function extractCompletes(decision, store = []) {
   return current;
 }
 
+function toStringList(value, errorCode) {
+  const list = Array.isArray(value) ? value : [value];
+  const out = [];
+  for (const entry of list) {
+    if (typeof entry !== 'string') throw new Error(errorCode);
+    const text = entry.trim();
+    if (text) out.push(text);
+  }
+  return out;
+}
+
+function requireSession(sessionId, owner) {
+  const session = getSession(sessionId, owner);
+  if (!session) throw new Error('session_not_found');
+  return session;
+}
+
+export function openSession({ contextNotes = '', currentUrl = '', completeHistory = [] } = {}, { owner = null } = {}) {
+  if (typeof contextNotes !== 'string') throw new Error('invalid_context_notes');
+  if (typeof currentUrl !== 'string') throw new Error('invalid_current_url');
+  const history = extractCompletes({ complete: toStringList(completeHistory, 'invalid_complete_history') });
+  return createSession({
+    owner,
+    contextNotes: contextNotes.trim(),
+    currentUrl: currentUrl.trim(),
+    completeHistory: history
+  });
+}
+
+export function listSessions({ owner = null } = {}) {
+  return sessions.list()
+    .filter((session) => ownedBy(session, owner))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .map((session) => ({
+      id: session.id,
+      currentUrl: session.currentUrl || '',
+      contextNotes: session.contextNotes || '',
+      completeCount: Array.isArray(session.completeHistory) ? session.completeHistory.length : 0,
+      usage: session.usage || emptyUsage(),
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    }));
+}
+
+export function describeSession(sessionId, { owner = null } = {}) {
+  return requireSession(sessionId, owner);
+}
+
+export function updateSession(sessionId, patch = {}, { owner = null } = {}) {
+  const session = requireSession(sessionId, owner);
+  if (patch.contextNotes !== undefined) {
+    if (patch.contextNotes !== null && typeof patch.contextNotes !== 'string') {
+      throw new Error('invalid_context_notes');
+    }
+    session.contextNotes = (patch.contextNotes || '').trim();
+  }
+  if (patch.currentUrl !== undefined) {
+    if (patch.currentUrl !== null && typeof patch.currentUrl !== 'string') {
+      throw new Error('invalid_current_url');
+    }
+    session.currentUrl = (patch.currentUrl || '').trim();
+  }
+  if (patch.completeHistory !== undefined) {
+    if (!Array.isArray(patch.completeHistory)) throw new Error('invalid_complete_history');
+    session.completeHistory = extractCompletes({
+      complete: toStringList(patch.completeHistory, 'invalid_complete_history')
+    });
+  }
+  if (patch.removeComplete !== undefined) {
+    const removals = new Set(toStringList(patch.removeComplete, 'invalid_remove_complete').map((entry) => entry.toLowerCase()));
+    session.completeHistory = (session.completeHistory || [])
+      .filter((entry) => !removals.has(String(entry || '').trim().toLowerCase()));
+  }
+  if (patch.addComplete !== undefined) {
+    session.completeHistory = extractCompletes({
+      complete: toStringList(patch.addComplete, 'invalid_add_complete')
+    }, session.completeHistory);
+  }
+  return saveSession(session);
+}
+
+export function recordOutcome(sessionId, outcome = {}, { owner = null } = {}) {
+  const session = requireSession(sessionId, owner);
+  if (!outcome || typeof outcome !== 'object') throw new Error('invalid_outcome');
+  const entry = applyOutcome(session, outcome);
+  if (!entry) throw new Error('action_not_found');
+  saveSession(session);
+  return entry;
+}
+
+export function closeSession(sessionId, { owner = null } = {}) {
+  requireSession(sessionId, owner);
+  sessions.delete(sessionId);
+  resetOfflineSteps(sessionId);
+  return { ok: true, sessionId };
+}
+
+function applyContextNotes(session, contextNotes) {
+  if (typeof contextNotes === 'string') {
+    session.contextNotes = contextNotes.trim();
+  }
+}
+
+function syncContextFromDecision(session, decision) {
+  if (!decision) return;
+  const goal = decision.goal && typeof decision.goal === 'object' ? decision.goal : {};
+  if (Object.prototype.hasOwnProperty.call(goal, 'new_context')) {
+    session.contextNotes = typeof goal.new_context === 'string' ? goal.new_context.trim() : '';
+  }
+  const keep = decision.keep ?? goal.keep;
+  if (keep === false) {
+    session.contextNotes = '';
+  }
+}
+
+function formatViolations(errors = []) {
+  return errors.map((error) => `${error.path} ${error.message}`);
+}
+
+function recordUsage(session, usage) {
+  if (!session || !usage) return;
+  session.usage = addUsage(session.usage || emptyUsage(), usage);
+}
+
+const METRIC_ACTIONS = new Set([
+  ...Object.keys(CRITIC_ACTION_SCHEMAS),
+  ...Object.keys(BOOTSTRAP_ACTION_SCHEMAS),
+  'click',
+  'unknown'
+]);
+
+function actionLabel(action) {
+  if (!action) return 'none';
+  return METRIC_ACTIONS.has(action) ? action : 'other';
+}
+
+function recordDecision(kind, decision) {
+  if (kind === 'verify') {
+    verificationsTotal.inc({ outcome: !decision ? 'invalid' : decision.achieved ? 'achieved' : 'not_achieved' });
+    return;
+  }
+  actionsTotal.inc({ kind, action: actionLabel(decision?.action) });
+}
+
+async function callCriticValidated(kind, args) {
+  const first = await callCritic(args);
+  const initial = validateDecision(first?.parsed ?? null, { kind, outputSchema: args.outputSchema });
+  if (initial.valid) {
+    recordDecision(kind, first.parsed);
+    return {
+      critic: first,
+      decision: first.parsed,
+      usage: addUsage(emptyUsage(), first?.usage),
+      validation: { valid: true, stage: null, errors: [], repaired: false, attempts: 1 }
+    };
+  }
+  decisionFailures.inc({ kind, stage: initial.stage });
+  if (!REPAIR_ENABLED || args.signal?.aborted) {
+    recordDecision(kind, null);
+    return {
+      critic: first,
+      decision: null,
+      usage: addUsage(emptyUsage(), first?.usage),
+      validation: { ...initial, repaired: false, attempts: 1 }
+    };
+  }
+  const second = await callCritic({
+    ...args,
+    repair: {
+      previousOutput: first?.raw || '',
+      violations: formatViolations(initial.errors)
+    }
+  });
+  const final = validateDecision(second?.parsed ?? null, { kind, outputSchema: args.outputSchema });
+  decisionRepairs.inc({ kind, outcome: final.valid ? 'repaired' : 'failed' });
+  if (!final.valid) decisionFailures.inc({ kind, stage: final.stage });
+  recordDecision(kind, final.valid ? second.parsed : null);
+  return {
+    critic: second,
+    decision: final.valid ? second.parsed : null,
+    usage: addUsage(addUsage(emptyUsage(), first?.usage), second?.usage),
+    validation: {
+      ...final,
+      repaired: final.valid,
+      attempts: 2,
+      initial: { stage: initial.stage, errors: initial.errors, raw: first?.raw || '' }
+    }
+  };
+}
+
 export async function runBootstrap({
   mode = 'browser',
   prompt,
   screenshot,
   sessionId = null,
+  contextNotes = undefined,
+  tabs = null,
   criticKey = null,
+  provider = null,
+  providerBaseUrl = null,
   model = undefined
-}, { signal } = {}) {
+}, { signal, allowFallbackKeys = true, owner = null } = {}) {
   const normalizedMode = assertMode(mode);
   const cleanScreenshot = sanitizeScreenshot(screenshot);
   if (!prompt || !prompt.trim()) {
@@ -94,34 +455,44 @@ export async function runBootstrap({
     throw new Error('screenshot_required');
   }
 
-  const session = ensureSession(sessionId);
+  const session = ensureSession(sessionId, owner);
+  applyContextNotes(session, contextNotes);
+  applyTabs(session, tabs);
   const userPayload = {
     goal: {
-      original_prompt: prompt.trim()
+      original_prompt: prompt.trim(),
+      new_context: session.contextNotes || ''
     },
     context: {
-      current_url: session.currentUrl || ''
+      current_url: session.currentUrl || '',
+      tabs: session.tabs || []
     },
     complete_history: Array.isArray(session.completeHistory)
       ? session.completeHistory.slice(-20)
       : []
   };
 
-  const critic = await callCritic({
+  const { critic, decision, validation, usage } = await callCriticValidated('bootstrap', {
     prompt: prompt.trim(),
     screenshot: cleanScreenshot,
     openaiApiKey: criticKey,
+    provider,
+    providerBaseUrl,
     model,
     systemPrompt: buildBootstrapSystemPrompt(),
     userPayload,
+    meta: { kind: 'bootstrap', sessionId: session.id },
+    allowFallbackKeys,
     signal
   });
 
-  const decision = critic?.parsed || null;
   session.completeHistory = extractCompletes(decision, session.completeHistory);
+  syncContextFromDecision(session, decision);
+  recordUsage(session, usage);
   if (decision?.action === 'navigate' && typeof decision.url === 'string') {
     session.currentUrl = decision.url.trim();
   }
+  saveSession(session);
 
   return {
     ok: true,
@@ -129,7 +500,10 @@ export async function runBootstrap({
     sessionId: session.id,
     decision,
     critic,
-    completeHistory: session.completeHistory
+    validation,
+    usage: { call: usage, session: session.usage },
+    completeHistory: session.completeHistory,
+    contextNotes: session.contextNotes || ''
   };
 }
 
@@ -138,9 +512,18 @@ export async function runCritic({
   prompt,
   screenshot,
   sessionId = null,
+  contextNotes = undefined,
+  tabs = null,
+  marks = null,
+  lastActionEffect = null,
+  stuck = null,
+  lastOutcome = null,
+  outputSchema = null,
   criticKey = null,
+  provider = null,
+  providerBaseUrl = null,
   model = undefined
-}, { signal } = {}) {
+}, { signal, allowFallbackKeys = true, owner = null } = {}) {
   const normalizedMode = assertMode(mode);
   const cleanScreenshot = sanitizeScreenshot(screenshot);
   if (!prompt || !prompt.trim()) {
@@ -149,32 +532,130 @@ export async function runCritic({
   if (!cleanScreenshot) {
     throw new Error('screenshot_required');
   }
+  const cleanOutputSchema = sanitizeOutputSchema(outputSchema);
 
-  const session = ensureSession(sessionId);
+  const session = ensureSession(sessionId, owner);
+  applyContextNotes(session, contextNotes);
+  applyTabs(session, tabs);
+  if (cleanOutputSchema) session.outputSchema = cleanOutputSchema;
+  if (lastOutcome) {
+    applyOutcome(session, lastOutcome, lastActionEffect);
+  }
 
-  const critic = await callCritic({
+  const { critic, decision, validation, usage } = await callCriticValidated('critic', {
     prompt: prompt.trim(),
     screenshot: cleanScreenshot,
     currentUrl: session.currentUrl || '',
+    tabs: session.tabs || [],
+    marks: sanitizeMarks(marks),
+    lastActionEffect: sanitizeEffect(lastActionEffect),
+    stuck: sanitizeStuck(stuck),
     contextNotes: session.contextNotes || '',
     completeHistory: session.completeHistory,
+    actionHistory: actionHistoryWindow(session),
+    outputSchema: session.outputSchema || null,
     openaiApiKey: criticKey,
+    provider,
+    providerBaseUrl,
     model,
+    meta: { kind: 'critic', sessionId: session.id },
+    allowFallbackKeys,
     signal
   });
-  const decision = critic?.parsed || null;
   session.completeHistory = extractCompletes(decision, session.completeHistory);
+  syncContextFromDecision(session, decision);
+  recordUsage(session, usage);
   if (decision?.action === 'navigate' && typeof decision.url === 'string') {
     session.currentUrl = decision.url.trim();
   }
+  const action = ['stop', 'resend'].includes(decision?.action) ? null : appendAction(session, decision);
+  saveSession(session);
 
   return {
     ok: true,
     mode: normalizedMode,
     sessionId: session.id,
+    actionId: action?.id ?? null,
     decision,
     critic,
-    completeHistory: session.completeHistory
+    validation,
+    usage: { call: usage, session: session.usage },
+    completeHistory: session.completeHistory,
+    contextNotes: session.contextNotes || ''
+  };
+}
+
+export async function runVerify({
+  mode = 'browser',
+  prompt,
+  screenshot,
+  sessionId = null,
+  completeHistory = undefined,
+  successCriteria = null,
+  result = undefined,
+  criticKey = null,
+  provider = null,
+  providerBaseUrl = null,
+  model = undefined
+}, { signal, allowFallbackKeys = true, owner = null } = {}) {
+  const normalizedMode = assertMode(mode);
+  const cleanScreenshot = sanitizeScreenshot(screenshot);
+  if (!prompt || !prompt.trim()) {
+    throw new Error('prompt_required');
+  }
+  if (!cleanScreenshot) {
+    throw new Error('screenshot_required');
+  }
+  if (successCriteria !== null && typeof successCriteria !== 'string' && !Array.isArray(successCriteria)) {
+    throw new Error('invalid_success_criteria');
+  }
+  const session = getSession(sessionId, owner);
+  const history = completeHistory !== undefined
+    ? toStringList(completeHistory, 'invalid_complete_history')
+    : session?.completeHistory || [];
+  const criteria = successCriteria === null ? [] : toStringList(successCriteria, 'invalid_success_criteria');
+  const userPayload = {
+    goal: {
+      original_prompt: prompt.trim(),
+      new_context: session?.contextNotes || ''
+    },
+    context: {
+      current_url: session?.currentUrl || ''
+    },
+    complete_history: history.slice(-20),
+    ...(criteria.length ? { success_criteria: criteria } : {}),
+    ...(result !== undefined ? { result } : {})
+  };
+
+  const { critic, decision, validation, usage } = await callCriticValidated('verify', {
+    prompt: prompt.trim(),
+    screenshot: cleanScreenshot,
+    openaiApiKey: criticKey,
+    provider,
+    providerBaseUrl,
+    model,
+    systemPrompt: buildVerifierSystemPrompt(),
+    userPayload,
+    meta: { kind: 'verify', sessionId: session?.id || sessionId || null },
+    allowFallbackKeys,
+    signal
+  });
+  if (session) {
+    recordUsage(session, usage);
+    session.verification = decision ? { ...decision, at: Date.now() } : null;
+    saveSession(session);
+  }
+
+  return {
+    ok: true,
+    mode: normalizedMode,
+    sessionId: session?.id || null,
+    achieved: decision ? decision.achieved : null,
+    evidence: decision?.evidence || '',
+    confidence: decision ? decision.confidence : null,
+    verifier: critic,
+    validation,
+    usage: { call: usage, session: session?.usage || null }
   };
 }
 
@@ -184,36 +665,59 @@ export async function runAssistant({
   target = null,
   elements = [],
   screenshot,
+  sessionId = null,
   assistantKey = null,
   assistantId = null,
+  provider = null,
+  providerBaseUrl = null,
   pollTimeoutMs = 30000
-}, { signal } = {}) {
+}, { signal, allowFallbackKeys = true, owner = null } = {}) {
   const normalizedMode = assertMode(mode);
   const cleanScreenshot = sanitizeScreenshot(screenshot);
   if (!cleanScreenshot) {
     throw new Error('assistant_screenshot_required');
   }
+  const session = getSession(sessionId, owner);
 
   const result = await callAssistantDecision({
     prompt: prompt || '',
     target,
     elements,
+    contextNotes: session?.contextNotes || '',
     screenshot: cleanScreenshot,
     openaiApiKey: assistantKey,
+    provider,
+    providerBaseUrl,
     assistantId,
     pollTimeoutMs,
+    meta: { kind: 'assistant', sessionId: session?.id || sessionId || null },
+    allowFallbackKeys,
     signal
   });
+  if (!result?.parsed) decisionFailures.inc({ kind: 'assistant', stage: 'parse' });
+  actionsTotal.inc({ kind: 'assistant', action: actionLabel(result?.parsed?.action) });
+  if (session) {
+    recordUsage(session, result?.usage);
+    saveSession(session);
+  }
   return {
     ok: true,
     mode: normalizedMode,
-    assistant: result
+    assistant: result,
+    usage: { call: addUsage(emptyUsage(), result?.usage), session: session?.usage || null }
   };
 }
 
 export default {
+  openSession,
+  listSessions,
+  describeSession,
+  updateSession,
+  recordOutcome,
+  closeSession,
   runBootstrap,
   runCritic,
+  runVerify,
   runAssistant,
   extractCompletes
 };
@@ -0,0 +1,145 @@
+export class BrainError extends Error {
+  constructor(code, message = code, {
+    status = 400,
+    retryable = false,
+    retryAfterMs = null,
+    upstreamStatus = null
+  } = {}) {
+    super(message);
+    this.name = 'BrainError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+export const RETRYABLE_UPSTREAM_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.round(seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+export function upstreamStatusError(label, upstreamStatus, text = '', retryAfterMs = null) {
+  const message = `${label}_${upstreamStatus}: ${text}`;
+  if (upstreamStatus === 429) {
+    return new BrainError('upstream_rate_limited', message, {
+      status: 429, retryable: true, retryAfterMs, upstreamStatus
+    });
+  }
+  if (upstreamStatus === 408 || upstreamStatus === 504) {
+    return new BrainError('upstream_timeout', message, {
+      status: 504, retryable: true, retryAfterMs, upstreamStatus
+    });
+  }
+  if (upstreamStatus >= 500) {
+    return new BrainError('upstream_unavailable', message, {
+      status: 502, retryable: RETRYABLE_UPSTREAM_STATUS.has(upstreamStatus), retryAfterMs, upstreamStatus
+    });
+  }
+  return new BrainError('upstream_rejected', message, { status: 502, upstreamStatus });
+}
+
+export function upstreamNetworkError(label, error, { timedOut = false } = {}) {
+  const detail = error?.cause?.code || error?.message || String(error);
+  if (timedOut) {
+    return new BrainError('upstream_timeout', `${label}_timeout: ${detail}`, { status: 504, retryable: true });
+  }
+  return new BrainError('upstream_unreachable', `${label}_network: ${detail}`, { status: 502, retryable: true });
+}
+
+const NOT_FOUND_CODES = new Set(['session_not_found', 'action_not_found']);
+
+const METRIC_CODES = new Set([
+  'aborted',
+  'action_not_found',
+  'assistant_api_key_missing',
+  'assistant_poll_aborted',
+  'assistant_screenshot_required',
+  'auth_required',
+  'bad_request',
+  'critic_api_key_missing',
+  'entity_parse_failed',
+  'entity_too_large',
+  'fallback_key_forbidden',
+  'fixture_file_required',
+  'fixture_unreadable',
+  'invalid_add_complete',
+  'invalid_complete_history',
+  'invalid_context_notes',
+  'invalid_current_url',
+  'invalid_outcome',
+  'invalid_outcome_status',
+  'invalid_output_schema',
+  'invalid_remove_complete',
+  'invalid_success_criteria',
+  'invalid_token',
+  'output_schema_too_large',
+  'prompt_required',
+  'provider_base_url_forbidden',
+  'provider_base_url_required',
+  'quota_exceeded',
+  'rate_limited',
+  'replay_dir_required',
+  'replay_dir_unreadable',
+  'request_aborted',
+  'screenshot_required',
+  'session_not_found',
+  'upstream_rate_limited',
+  'upstream_rejected',
+  'upstream_timeout',
+  'upstream_unavailable',
+  'upstream_unreachable'
+]);
+
+const METRIC_CODE_PREFIXES = ['unsupported_mode', 'unsupported_provider', 'unsupported_session_store', 'fixture_no_match'];
+
+export function metricCode(code) {
+  if (METRIC_CODES.has(code)) return code;
+  return METRIC_CODE_PREFIXES.find((prefix) => String(code || '').startsWith(`${prefix}_`)) || 'other';
+}
+
+export function errorResponse(error) {
+  const message = error?.message || String(error);
+  if (error instanceof BrainError) {
+    return {
+      status: error.status,
+      retryAfterMs: error.retryAfterMs,
+      body: {
+        ok: false,
+        error: message,
+        code: error.code,
+        retryable: error.retryable,
+        retryAfterMs: error.retryAfterMs ?? null
+      }
+    };
+  }
+  const code = typeof error?.type === 'string'
+    ? error.type.replace(/\./g, '_')
+    : message.split(/[\s:.]/)[0] || 'bad_request';
+  const httpStatus = Number(error?.status ?? error?.statusCode);
+  let status = 400;
+  if (NOT_FOUND_CODES.has(code)) status = 404;
+  else if (httpStatus >= 400 && httpStatus < 500) status = httpStatus;
+  return {
+    status,
+    retryAfterMs: null,
+    body: { ok: false, error: message, code, retryable: false, retryAfterMs: null }
+  };
+}
+
+export default {
+  BrainError,
+  RETRYABLE_UPSTREAM_STATUS,
+  parseRetryAfter,
+  upstreamStatusError,
+  upstreamNetworkError,
+  errorResponse,
+  metricCode
+};
@@ -1,18 +1,26 @@
 import assert from 'node:assert/strict';
 import { Buffer } from 'node:buffer';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+import { resolveProvider } from './providers.js';
+import { fetchWithRetry } from './upstream.js';
+import { BrainError } from './errors.js';
+import { upstreamDuration } from './metrics.js';
+import { normalizeUsage } from './pricing.js';
+
+async function timedComplete(provider, request) {
+  const endTimer = upstreamDuration.startTimer({ provider: provider.name, kind: request.meta?.kind || 'unknown' });
+  try {
+    const result = await provider.complete(request);
+    endTimer({ outcome: 'ok' });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    throw error;
+  }
+}
 
-const TEST_CRITIC_KEY = [
-  process.env.CRITIC_OPENAI_KEY,
-  process.env.OPENAI_API_KEY,
-  process.env.NEROVA_AGENT_CRITIC_KEY
-].find((value) => value && value.trim()) || '';
-
-const TEST_ASSISTANT_KEY = [
-  process.env.RETRIEVER_OPENAI_KEY,
-  process.env.NANO_OPENAI_KEY,
-  process.env.NEROVA_AGENT_ASSISTANT_KEY,
-  process.env.OPENAI_API_KEY
-].find((value) => value && value.trim()) || '';
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
 
 function resolveKey(explicit, fallback) {
   const value = (explicit || '').trim();
@@ -21,6 +29,82 @@ function resolveKey(explicit, fallback) {
   return null;
 }
 
+function allowedBaseUrls() {
+  return new Set(String(process.env.LLM_BASE_URL_ALLOWLIST || '')
+    .split(',')
+    .map((url) => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean));
+}
+
+const PRIVATE_RANGES = (() => {
+  const list = new net.BlockList();
+  for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+  ]) {
+    list.addSubnet(address, prefix, 'ipv4');
+  }
+  list.addAddress('::', 'ipv6');
+  list.addAddress('::1', 'ipv6');
+  list.addSubnet('fc00::', 7, 'ipv6');
+  list.addSubnet('fe80::', 10, 'ipv6');
+  return list;
+})();
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const value = mapped ? mapped[1] : address;
+  return PRIVATE_RANGES.check(value, net.isIPv4(value) ? 'ipv4' : 'ipv6');
+}
+
+function baseUrlForbidden(reason) {
+  return new BrainError('provider_base_url_forbidden', `provider_base_url_forbidden: ${reason}`, { status: 403 });
+}
+
+async function assertRequestBaseUrl(baseUrl, explicitKey) {
+  if (!baseUrl) return;
+  const normalized = String(baseUrl).trim().replace(/\/+$/, '');
+  if (allowedBaseUrls().has(normalized)) return;
+  if (!resolveKey(explicitKey, null)) {
+    throw baseUrlForbidden('providerBaseUrl requires a client API key or an LLM_BASE_URL_ALLOWLIST entry');
+  }
+  let url;
+  try {
+    url = new URL(normalized);
+  } catch {
+    throw baseUrlForbidden('providerBaseUrl is not a valid URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw baseUrlForbidden('providerBaseUrl must use http or https');
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true }).catch(() => [])).map((entry) => entry.address);
+  if (!addresses.length || addresses.some(isPrivateAddress)) {
+    throw baseUrlForbidden('providerBaseUrl must resolve to a public host');
+  }
+}
+
+function resolveProviderKey(provider, role, explicit, allowFallbackKeys) {
+  const fallback = provider.defaultKey(role);
+  const apiKey = resolveKey(explicit, allowFallbackKeys ? fallback : null);
+  if (apiKey || !provider.keyRequired) return apiKey;
+  if (fallback && !allowFallbackKeys) {
+    throw new BrainError('fallback_key_forbidden', `${role}_api_key_missing: server keys require an authenticated client`, { status: 401 });
+  }
+  throw new Error(`${role}_api_key_missing`);
+}
+
+function parseJsonContent(raw) {
+  let normalized = raw;
+  if (normalized.startsWith('```')) {
+    normalized = normalized.replace(/```[a-zA-Z]*\n?/g, '').replace(/```/g, '').trim();
+  }
+  try { return JSON.parse(normalized); } catch {}
+  return null;
+}
+
 function buildCriticSystemPrompt() {
   return `SYSTEM (Screen-first Web Action Critic)
 
@@ -28,7 +112,9 @@ You are a natural-language-to-web action critic. The goal is stated by the user
 
 Strict rules:
 - Output ONLY a single valid JSON object (no prose, no markdown, no code fences).
- - Allowed actions: accept | click_by_text_role | scroll | back | navigate | resend | stop (choose ONE).
+- If the user payload contains "repair", your previous output was rejected; fix every listed violation and return the corrected object.
+ - Allowed actions: accept | click_by_text_role | hover | double_click | right_click | select_option | press_key | drag | wait | switch_tab | new_tab | close_tab | ask_user | answer | scroll | back | navigate | resend | stop (choose ONE).
+ - Use action="wait" when content is visibly still loading (spinners, skeletons, progress bars, a pending search) and will appear on the same page; include wait { ms?: 100..15000, until?: "stable" | "network_idle" | "load", text?: string } (at least one field; ms bounds any condition).
  - Use action="resend" ONLY if the intended/expected candidate is not visible in the screenshot and the page appears to be still loading or an initial blank/transition frame; on resend the runtime will immediately retry the same prompt with a fresh screenshot of the same viewport.
 - Prefer deterministic visible signals: text + role.
 - Never return "accept" unless the chosen control is visibly present.
@@ -43,7 +129,15 @@ Context override (active only when goal.new_context is non-empty):
 Universal schema (ALL ACTIONS):
 - Required fields: action (string), reason (string), confidence (number), continue (boolean).
 - Optional depending on action:
-  - target (for click_by_text_role)
+  - target (for click_by_text_role, hover, double_click, right_click, select_option, drag)
+  - option { label?: string, value?: string, index?: integer } (for select_option; at least one)
+  - key (string, e.g. "Escape", "Tab", "ArrowDown", "Control+a") and repeat?: 1..10 (for press_key)
+  - drag { to: [vx, vy] } or drag { offset: [dx, dy] } (for drag; target is the element to grab)
+  - wait { ms?, until?, text? } (for wait)
+  - tab (string id from context.tabs; for switch_tab, and optionally close_tab to close a non-active tab)
+  - url (optional for new_tab; https URL to open)
+  - question (string) and choices?: string[] (2..10 options; for ask_user)
+  - data (any JSON; for answer, matching output_schema when present)
   - scroll { direction:"down"|"up", pages?:1..3 } (for scroll)
   - url (for navigate)
   - content (for typing after focus)
@@ -54,10 +148,41 @@ Examples (non-click actions include continue):
 { "action":"scroll", "scroll": { "direction":"down", "pages":1 }, "reason":"…", "confidence":0.7, "continue": true }
 { "action":"back", "reason":"…", "confidence":0.6, "continue": true }
 { "action":"navigate", "url":"https://example.com/cart", "reason":"…", "confidence":0.8, "continue": true }
+{ "action":"press_key", "key":"Escape", "reason":"…", "confidence":0.7, "continue": true }
+{ "action":"wait", "wait": { "until":"stable", "ms":5000 }, "reason":"…", "confidence":0.7, "continue": true }
+{ "action":"ask_user", "question":"Which delivery address should I use?", "choices":["Home","Office"], "reason":"…", "confidence":0.6, "continue": true }
+{ "action":"answer", "data": { "order_status":"Shipped", "tracking":"1Z999" }, "reason":"…", "confidence":0.9, "continue": false }
+
+Other target-based actions use the same target shape as click actions:
+{ "action":"hover", "target": { … }, "reason":"…", "confidence":0.7, "continue": true }
+{ "action":"select_option", "target": { … }, "option": { "label":"Large" }, "reason":"…", "confidence":0.8, "continue": true }
+{ "action":"drag", "target": { … }, "drag": { "offset": [120, 0] }, "reason":"…", "confidence":0.6, "continue": true }
+
+Set-of-marks (only when context.marks is present):
+- The screenshot has numbered colored boxes drawn over interactive elements; context.marks lists { mark, name, role } for each box.
+- For target-based actions set target.mark to the number of the box you mean (an integer from context.marks). target.center may then be omitted; keep target.hints filled as usual.
+- Only use a mark whose box clearly covers the intended control; if the control has no box, fall back to target.center.
+
+Result extraction:
+- When the goal asks to find or report information (a price, an order status, a confirmation number), finish with action="answer" and put the result in data, read from what is visible on screen. answer ends the run.
+- When the payload has output_schema, data MUST be valid against it (same field names and types; all required fields present) and you must finish with answer instead of stop. Never invent values; if a required value is not visible yet, keep navigating.
+
+Tabs:
+- context.tabs lists open tabs as { id, title, url, active }. The screenshot always shows the active tab.
+- Use switch_tab when the goal continues in another open tab (e.g., a sign-in popup or a link opened in a new tab).
+- Use new_tab only when the current tab must stay open; otherwise prefer navigate. Use close_tab to dismiss finished popups or stray tabs (without tab, it closes the active tab).
+
+Interaction choice:
+- hover: reveal menus/tooltips that open on mouse-over; do not click them first.
+- select_option: native <select> dropdowns; target the select itself and name the option by visible label when possible.
+- press_key: dismiss dialogs (Escape), move focus (Tab), navigate lists/menus (ArrowUp/ArrowDown) or submit (Enter).
+- double_click / right_click: only when the UI clearly requires it (e.g., editing a cell, opening a context menu).
+- drag: sliders, reorderable lists and boards; drag.to is the drop point in screenshot pixels, drag.offset moves relative to the grabbed element.
+- ask_user: only when the goal is genuinely ambiguous and the choice matters (which size, which address, which of two accounts) and neither the prompt nor goal.new_context settles it. Ask one short question; list the visible options in choices when there are a few. The answer arrives in goal.new_context. Never ask about things you can see or decide yourself, and never ask twice about the same thing.
 
 Output format for click actions (REQUIRED):
 - Return exactly: { "action": "click_by_text_role", "target": { "id": "Step 2", "type": "click_by_candidates", "center": [vx, vy], "hints": { "text_exact": string[], "roles": string[], "text": string[] }, "content": optional string, "clear": optional boolean }, "reason": "…", "confidence": 0.0, "continue": true }
-- target.center MUST be present (CSS viewport pixels).
+- target.center MUST be present (CSS viewport pixels), unless you use target.mark (see Set-of-marks).
 - Use arrays for hints; do NOT use singular fields like "role" or a single "text_exact" string. If none, use empty arrays.
 - Do NOT return type_in_text_role. If typing is needed after focusing an input, include "content".
  - If the intent requires replacing pre-existing text in an input, set target.clear=true (meaning: delete all text in the focused input before typing), then include the desired "content".
@@ -94,9 +219,12 @@ Navigation optimization:
 Complete history awareness:
 - You will receive recent complete_history (ordered). Treat each entry as DONE. Do not attempt to redo or re-verify them unless the page clearly reset.
 - When choosing the next action, advance the next unmet milestone implied by the goal and complete_history. If complete_history contains a matching milestone (e.g., variant selected), prefer the next step (e.g., Add to cart) over re-selecting variants.
+- action_history (when present) lists your most recent decisions, oldest first, with the runner's outcome: ok, no_effect, failed (with error), rejected, skipped, await_assistance or click_unresolved (the target could not be found on the page). outcome null means the action has not been reported yet. Do not retry a target that failed or could not be resolved; describe it differently or pick another control.
 
 Stuck handling:
+- context.last_action_effect (when present) reports what the previous action did: changed, url_changed, tab_changed, screen_diff (0..1 share of the screen that changed), dom_mutations and focus_changed. If changed is false, the previous action had no visible effect: do NOT repeat the same action on the same target; pick a different control, a different action type, or scroll.
 - If recent decisions have not produced any new "complete" items (no visible progress), change strategy immediately.
+- context.stuck (when present) means the runner detected a loop: reason is repeated_action, oscillating, no_effect or unchanged_screen, and repeated lists the looping decisions (e.g. click "add to cart", scroll down). Treat it as proof the current approach is failing. Every decision in context.stuck.avoid will be rejected without running, so never return one of them; choose a different target, action type, tab or URL.
 - Try a different viable on-screen control, reverse scroll direction, use back, or navigate to a better entry point. Do not loop re-checking the same milestone.
 
 Goal-first rule:
@@ -110,30 +238,59 @@ You are the URL Bootstrap Critic. Decide the single best initial URL to open NOW
 
 Rules:
 - Output ONLY a single JSON object (no prose, no markdown, no code fences).
+- If the user payload contains "repair", your previous output was rejected; fix every listed violation and return the corrected object.
 - Allowed actions (choose ONE): navigate | proceed | resend
 - If action=navigate: url must be HTTPS, canonical/official page (no shorteners). Remove tracking query unless required.
 - If action=proceed: current page is already correct to start the task.
 - If action=resend: the page appears in transition/blank; the runtime will retry this same prompt with a fresh screenshot.
 - Include a short reason and numeric confidence 0..1.
+- If goal.new_context is non-empty, treat it as additional instructions that refine the original prompt when choosing the URL.
 - REQUIRED: include top-level complete (array). Use [] if nothing was completed; otherwise include one concise string that reflects the outcome, e.g., "navigated to https://example.com" for navigate, or "proceed" for proceed.`;
 }
 
+export function buildVerifierSystemPrompt() {
+  return `SYSTEM (Goal Verifier)
+
+You are the Goal Verifier. An agent says it has finished the task in goal.original_prompt. Decide, from the final screenshot, whether the goal was actually achieved.
+
+Rules:
+- Output ONLY a single JSON object (no prose, no markdown, no code fences).
+- If the user payload contains "repair", your previous output was rejected; fix every listed violation and return the corrected object.
+- Return exactly: { "achieved": boolean, "evidence": string, "confidence": number 0..1 }.
+- Judge the screenshot first. complete_history is the agent's own claim of progress and is NOT proof; result (when present) is the data the agent extracted and must match what is visible.
+- If success_criteria is present, every criterion must be visibly met for achieved=true.
+- achieved=true only with concrete visible evidence (confirmation message, order number, the requested value on screen, the expected page state). Quote or describe that evidence in evidence.
+- If the evidence is missing, ambiguous or contradicts the goal, return achieved=false and say in evidence what is missing or what still needs to be done.`;
+}
+
 export async function callCritic({
   prompt,
   screenshot,
   currentUrl = '',
+  tabs = [],
+  marks = [],
+  lastActionEffect = null,
+  stuck = null,
   contextNotes = '',
   completeHistory = [],
+  actionHistory = [],
+  outputSchema = null,
   openaiApiKey = null,
-  model = process.env.CRITIC_MODEL || 'gpt-5',
+  provider: providerName = null,
+  providerBaseUrl = null,
+  model = undefined,
   systemPrompt: systemPromptOverride = null,
   userPayload: explicitUserPayload = null,
+  repair = null,
+  allowFallbackKeys = true,
+  meta = {},
   signal = null
 }) {
   assert(prompt && prompt.trim(), 'prompt_required');
   assert(screenshot && screenshot.length > 10, 'screenshot_required');
-  const apiKey = resolveKey(openaiApiKey, TEST_CRITIC_KEY);
-  if (!apiKey) throw new Error('critic_api_key_missing');
+  await assertRequestBaseUrl(providerBaseUrl, openaiApiKey);
+  const provider = resolveProvider({ provider: providerName, baseUrl: providerBaseUrl, role: 'critic' });
+  const apiKey = resolveProviderKey(provider, 'critic', openaiApiKey, allowFallbackKeys);
 
   const systemPrompt = systemPromptOverride || buildCriticSystemPrompt();
   let userPayload = explicitUserPayload;
@@ -152,6 +309,10 @@ export async function callCritic({
       },
       context: {
         current_url: currentUrl,
+        tabs: Array.isArray(tabs) ? tabs : [],
+        ...(Array.isArray(marks) && marks.length ? { marks } : {}),
+        ...(lastActionEffect ? { last_action_effect: lastActionEffect } : {}),
+        ...(stuck ? { stuck } : {}),
         context_active: contextActive,
         context_step: contextActive ? 0 : 0
       },
@@ -161,60 +322,51 @@ export async function callCritic({
       },
       complete_history: Array.isArray(completeHistory)
         ? completeHistory.slice(-20)
-        : []
+        : [],
+      ...(Array.isArray(actionHistory) && actionHistory.length ? { action_history: actionHistory } : {}),
+      ...(outputSchema ? { output_schema: outputSchema } : {})
     };
   }
 
-  const chosenModel = model || 'gpt-5';
-  const body = {
-    model: chosenModel,
-    response_format: { type: 'json_object' },
-    messages: [
-      { role: 'system', content: systemPrompt },
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: JSON.stringify(userPayload) },
-          { type: 'image_url', image_url: { url: `data:image/png;base64,${screenshot}` } }
-        ]
+  if (repair) {
+    userPayload = {
+      ...userPayload,
+      repair: {
+        instruction: 'Your previous output violated the required schema. Return ONE corrected JSON object for the same decision.',
+        previous_output: repair.previousOutput || '',
+        violations: Array.isArray(repair.violations) ? repair.violations : []
       }
-    ]
-  };
+    };
+  }
 
-  const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body),
-    signal: signal ?? undefined
+  const chosenModel = model || provider.defaultModel('critic');
+  const completion = await timedComplete(provider, {
+    model: chosenModel,
+    system: systemPrompt,
+    text: JSON.stringify(userPayload),
+    image: screenshot,
+    apiKey,
+    label: 'critic_http',
+    meta: { kind: 'critic', prompt, ...meta, repair: Boolean(repair) },
+    signal
   });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`critic_http_${resp.status}: ${text}`);
-  }
-  const data = await resp.json();
-  const raw = (data?.choices?.[0]?.message?.content || '').trim();
-  let parsed = null;
-  let normalized = raw;
-  if (normalized.startsWith('```')) {
-    normalized = normalized.replace(/```[a-zA-Z]*\n?/g, '').replace(/```/g, '').trim();
-  }
-  try { parsed = JSON.parse(normalized); } catch {}
+  const raw = completion.raw;
+  const parsed = parseJsonContent(raw);
   return {
     ok: true,
     raw,
     parsed,
     screenshot: `data:image/png;base64,${screenshot}`,
     model: chosenModel,
+    provider: provider.name,
+    usage: normalizeUsage(completion.usage, completion.model, chosenModel),
     system: systemPrompt,
     user: userPayload
   };
 }
 
 export function defaultAssistantKey() {
-  return resolveKey(null, TEST_ASSISTANT_KEY);
+  return resolveKey(null, resolveProvider({ role: 'assistant' }).defaultKey('assistant'));
 }
 
 const STEP4_SYSTEM_PROMPT = `SYSTEM (Step 4 Output / Assistant 2 Decision)
@@ -233,25 +385,142 @@ Rules:
   - candidate_id referencing the chosen element's id when action="click".
 - Prefer hittable elements; avoid occluded/offscreen unless no other option.
 - Use the provided hints (exact text, text_contains, roles) to guide the choice.
+- Candidates are ranked by the runtime's local matcher: score (0..1) and score_parts { text, role, distance, hit }. Treat the ranking as a hint, not a decision; the local matcher was not confident enough to click on its own.
+- If context is non-empty, it refines the goal (e.g., a user-supplied choice or subgoal).
 - If nothing matches confidently, return action="unknown".
 - Never invent coordinates; only use provided candidate data.
 - If goal already satisfied, return action="stop" with a short summary.`;
 
+async function callAssistantThread({ apiKey, assistantId, payload, screenshot, pollTimeoutMs, signal, provider }) {
+  const buffer = Buffer.from(screenshot, 'base64');
+  const form = new FormData();
+  form.append('purpose', 'assistants');
+  form.append('file', new Blob([buffer], { type: 'image/png' }), 'screenshot.png');
+
+  const upload = await fetchWithRetry(`${OPENAI_BASE_URL}/files`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    body: form
+  }, { label: 'assistant_upload', signal, idempotent: false });
+  const fileMeta = await upload.json();
+
+  const threadResp = await fetchWithRetry(`${OPENAI_BASE_URL}/threads`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'OpenAI-Beta': 'assistants=v2'
+    },
+    body: JSON.stringify({})
+  }, { label: 'assistant_thread', signal, idempotent: false });
+  const thread = await threadResp.json();
+
+  const messageResp = await fetchWithRetry(`${OPENAI_BASE_URL}/threads/${thread.id}/messages`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'OpenAI-Beta': 'assistants=v2'
+    },
+    body: JSON.stringify({
+      role: 'user',
+      content: [
+        { type: 'text', text: JSON.stringify(payload) },
+        { type: 'image_file', image_file: { file_id: fileMeta.id } }
+      ]
+    })
+  }, { label: 'assistant_message', signal, idempotent: false });
+
+  const runResp = await fetchWithRetry(`${OPENAI_BASE_URL}/threads/${thread.id}/runs`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'OpenAI-Beta': 'assistants=v2'
+    },
+    body: JSON.stringify({ assistant_id: assistantId })
+  }, { label: 'assistant_run', signal, idempotent: false });
+  let run = await runResp.json();
+  const start = Date.now();
+  while (run.status !== 'completed') {
+    if (signal?.aborted) {
+      throw new Error('assistant_poll_aborted');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 800));
+    if (signal?.aborted) {
+      throw new Error('assistant_poll_aborted');
+    }
+    const poll = await fetchWithRetry(`${OPENAI_BASE_URL}/threads/${thread.id}/runs/${run.id}`, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'OpenAI-Beta': 'assistants=v2'
+      }
+    }, { label: 'assistant_poll', signal });
+    run = await poll.json();
+    if (Date.now() - start > pollTimeoutMs) {
+      throw new BrainError('upstream_timeout', 'assistant_timeout', { status: 504, retryable: true });
+    }
+    if (['failed', 'cancelled', 'expired'].includes(run.status)) {
+      throw new BrainError('upstream_unavailable', `assistant_status_${run.status}`, { status: 502, retryable: run.status !== 'cancelled' });
+    }
+  }
+
+  if (signal?.aborted) {
+    throw new Error('assistant_poll_aborted');
+  }
+  const messages = await fetchWithRetry(`${OPENAI_BASE_URL}/threads/${thread.id}/messages`, {
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'OpenAI-Beta': 'assistants=v2'
+    }
+  }, { label: 'assistant_messages', signal });
+  const data = await messages.json();
+  let raw = '';
+  for (const message of data.data || []) {
+    if (message.role === 'assistant' && Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if ((part.type === 'text' || part.type === 'output_text') && part.text && part.text.value) {
+          raw = part.text.value.trim();
+          if (raw) break;
+        }
+      }
+    }
+    if (raw) break;
+  }
+  const parsed = parseJsonContent(raw);
+  const model = provider.defaultModel('assistant');
+  return {
+    ok: true,
+    raw,
+    parsed,
+    request: payload,
+    model,
+    provider: provider.name,
+    usage: normalizeUsage(run.usage, run.model, model)
+  };
+}
+
 export async function callAssistantDecision({
   prompt,
   target = null,
   elements = [],
+  contextNotes = '',
   screenshot,
   openaiApiKey = null,
+  provider: providerName = null,
+  providerBaseUrl = null,
   assistantId = process.env.ASSISTANT_ID2 || null,
   pollTimeoutMs = 30000,
+  allowFallbackKeys = true,
+  meta = {},
   signal = null
 }) {
   if (!screenshot || screenshot.length < 20) {
     throw new Error('assistant_screenshot_required');
   }
-  const apiKey = resolveKey(openaiApiKey, TEST_ASSISTANT_KEY);
-  if (!apiKey) throw new Error('assistant_api_key_missing');
+  await assertRequestBaseUrl(providerBaseUrl, openaiApiKey);
+  const provider = resolveProvider({ provider: providerName, baseUrl: providerBaseUrl, role: 'assistant' });
+  const apiKey = resolveProviderKey(provider, 'assistant', openaiApiKey, allowFallbackKeys);
 
   const cleanScreenshot = (() => {
     const trimmed = screenshot.trim();
@@ -264,187 +533,59 @@ export async function callAssistantDecision({
 
   const payload = {
     goal: prompt || '',
+    context: contextNotes || '',
     target: target || null,
     candidates: Array.isArray(elements) ? elements.slice(0, 12) : []
   };
 
-  if (assistantId) {
-    const buffer = Buffer.from(cleanScreenshot, 'base64');
-    const form = new FormData();
-    form.append('purpose', 'assistants');
-    form.append('file', new Blob([buffer], { type: 'image/png' }), 'screenshot.png');
-
-    const upload = await fetch('https://api.openai.com/v1/files', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${apiKey}` },
-      body: form,
-      signal: signal ?? undefined
-    });
-    if (!upload.ok) {
-      const text = await upload.text().catch(() => '');
-      throw new Error(`assistant_upload_${upload.status}: ${text}`);
-    }
-    const fileMeta = await upload.json();
-
-    const threadResp = await fetch('https://api.openai.com/v1/threads', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'OpenAI-Beta': 'assistants=v2'
-      },
-      body: JSON.stringify({}),
-      signal: signal ?? undefined
-    });
-    if (!threadResp.ok) {
-      const text = await threadResp.text().catch(() => '');
-      throw new Error(`assistant_thread_${threadResp.status}: ${text}`);
-    }
-    const thread = await threadResp.json();
-
-    const messageResp = await fetch(`https://api.openai.com/v1/threads/${thread.id}/messages`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'OpenAI-Beta': 'assistants=v2'
-      },
-      body: JSON.stringify({
-        role: 'user',
-        content: [
-          { type: 'text', text: JSON.stringify(payload) },
-          { type: 'image_file', image_file: { file_id: fileMeta.id } }
-        ]
-      }),
-      signal: signal ?? undefined
-    });
-    if (!messageResp.ok) {
-      const text = await messageResp.text().catch(() => '');
-      throw new Error(`assistant_message_${messageResp.status}: ${text}`);
-    }
-
-    const runResp = await fetch(`https://api.openai.com/v1/threads/${thread.id}/runs`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'OpenAI-Beta': 'assistants=v2'
-      },
-      body: JSON.stringify({ assistant_id: assistantId }),
-      signal: signal ?? undefined
-    });
-    if (!runResp.ok) {
-      const text = await runResp.text().catch(() => '');
-      throw new Error(`assistant_run_${runResp.status}: ${text}`);
-    }
-    let run = await runResp.json();
-    const start = Date.now();
-    while (run.status !== 'completed') {
-      if (signal?.aborted) {
-        throw new Error('assistant_poll_aborted');
-      }
-      await new Promise((resolve) => setTimeout(resolve, 800));
-      if (signal?.aborted) {
-        throw new Error('assistant_poll_aborted');
-      }
-      const poll = await fetch(`https://api.openai.com/v1/threads/${thread.id}/runs/${run.id}`, {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'OpenAI-Beta': 'assistants=v2'
-        },
-        signal: signal ?? undefined
+  if (assistantId && provider.name === 'openai') {
+    const endTimer = upstreamDuration.startTimer({ provider: 'openai-assistants', kind: 'assistant' });
+    try {
+      const result = await callAssistantThread({
+        apiKey,
+        assistantId,
+        payload,
+        screenshot: cleanScreenshot,
+        pollTimeoutMs,
+        signal,
+        provider
       });
-      if (!poll.ok) {
-        const text = await poll.text().catch(() => '');
-        throw new Error(`assistant_poll_${poll.status}: ${text}`);
-      }
-      run = await poll.json();
-      if (Date.now() - start > pollTimeoutMs) {
-        throw new Error('assistant_timeout');
-      }
-      if (['failed', 'cancelled', 'expired'].includes(run.status)) {
-        throw new Error(`assistant_status_${run.status}`);
-      }
-    }
-
-    if (signal?.aborted) {
-      throw new Error('assistant_poll_aborted');
-    }
-    const messages = await fetch(`https://api.openai.com/v1/threads/${thread.id}/messages`, {
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'OpenAI-Beta': 'assistants=v2'
-      },
-      signal: signal ?? undefined
-    });
-    if (!messages.ok) {
-      const text = await messages.text().catch(() => '');
-      throw new Error(`assistant_messages_${messages.status}: ${text}`);
-    }
-    const data = await messages.json();
-    let raw = '';
-    for (const message of data.data || []) {
-      if (message.role === 'assistant' && Array.isArray(message.content)) {
-        for (const part of message.content) {
-          if ((part.type === 'text' || part.type === 'output_text') && part.text && part.text.value) {
-            raw = part.text.value.trim();
-            if (raw) break;
-          }
-        }
-      }
-      if (raw) break;
+      endTimer({ outcome: 'ok' });
+      return result;
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      throw error;
     }
-    let parsed = null;
-    let normalized = raw;
-    if (normalized.startsWith('```')) {
-      normalized = normalized.replace(/```[a-zA-Z]*\n?/g, '').replace(/```/g, '').trim();
-    }
-    try { parsed = JSON.parse(normalized); } catch {}
-    return { ok: true, raw, parsed, request: payload, model: process.env.ASSISTANT_MODEL || 'gpt-5-nano' };
   }
 
-  // Fallback to chat completions if no assistantId provided
-  const model = process.env.ASSISTANT_MODEL || 'gpt-5-nano';
-  const body = {
+  // Fallback to the configured provider if no assistantId provided
+  const model = provider.defaultModel('assistant');
+  const completion = await timedComplete(provider, {
     model,
-    response_format: { type: 'json_object' },
-    messages: [
-      { role: 'system', content: STEP4_SYSTEM_PROMPT },
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: JSON.stringify(payload) },
-          { type: 'image_url', image_url: { url: `data:image/png;base64,${cleanScreenshot}` } }
-        ]
-      }
-    ]
-  };
-  const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body),
-    signal: signal ?? undefined
+    system: STEP4_SYSTEM_PROMPT,
+    text: JSON.stringify(payload),
+    image: cleanScreenshot,
+    apiKey,
+    label: 'assistant_chat',
+    meta: { kind: 'assistant', prompt, ...meta },
+    signal
   });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`assistant_chat_${resp.status}: ${text}`);
-  }
-  const data = await resp.json();
-  const raw = (data?.choices?.[0]?.message?.content || '').trim();
-  let parsed = null;
-  let normalized = raw;
-  if (normalized.startsWith('```')) {
-    normalized = normalized.replace(/```[a-zA-Z]*\n?/g, '').replace(/```/g, '').trim();
-  }
-  try { parsed = JSON.parse(normalized); } catch {}
-  return { ok: true, raw, parsed, request: payload, model };
+  const raw = completion.raw;
+  const parsed = parseJsonContent(raw);
+  return {
+    ok: true,
+    raw,
+    parsed,
+    request: payload,
+    model,
+    provider: provider.name,
+    usage: normalizeUsage(completion.usage, completion.model, model)
+  };
 }
 
 export default {
   callCritic,
   callAssistantDecision,
+  buildVerifierSystemPrompt,
   defaultAssistantKey
 };
@@ -0,0 +1,161 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const LOG_DIR = process.env.LOG_DIR || path.resolve('logs');
+const SCREENSHOT_DIR = path.join(LOG_DIR, 'screenshots');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function numberEnv(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const MAX_BYTES = numberEnv('LOG_MAX_BYTES', 10 * 1024 * 1024);
+const ROTATE_INTERVAL_MS = numberEnv('LOG_ROTATE_INTERVAL_MS', DAY_MS);
+const RETENTION_MS = numberEnv('LOG_RETENTION_DAYS', 14) * DAY_MS;
+const SAVE_SCREENSHOTS = process.env.LOG_SCREENSHOTS === '1';
+const SECRET_KEY_PATTERN = /^(.*api_?key|critic_?key|assistant_?key|.*secret|password|authorization|.*token)$/i;
+const IMAGE_KEY_PATTERN = /(screenshot|image)/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/=\s]+$/;
+
+const openedAt = new Map();
+let lastPrune = 0;
+
+function ensureDir(dir) {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch {}
+}
+
+function looksLikeImage(key, value) {
+  if (value.startsWith('data:image')) return true;
+  if (value.length < 200) return false;
+  return IMAGE_KEY_PATTERN.test(key) && BASE64_PATTERN.test(value.slice(0, 200));
+}
+
+function summarizeImage(value) {
+  const idx = value.startsWith('data:image') ? value.indexOf(',') : -1;
+  const base64 = idx >= 0 ? value.slice(idx + 1) : value;
+  const sha256 = crypto.createHash('sha256').update(base64).digest('hex');
+  const summary = { redacted: 'image', sha256, length: base64.length };
+  if (SAVE_SCREENSHOTS) {
+    const file = path.join(SCREENSHOT_DIR, `${sha256}.png`);
+    try {
+      if (!fs.existsSync(file)) {
+        ensureDir(SCREENSHOT_DIR);
+        fs.writeFileSync(file, Buffer.from(base64, 'base64'));
+      }
+      summary.file = path.relative(LOG_DIR, file);
+    } catch {}
+  }
+  return summary;
+}
+
+export function redact(value, key = '') {
+  if (typeof value === 'string') {
+    if (key && SECRET_KEY_PATTERN.test(key) && value) return '***';
+    if (looksLikeImage(key, value)) return summarizeImage(value);
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => redact(entry, key));
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      out[childKey] = redact(child, childKey);
+    }
+    return out;
+  }
+  return value;
+}
+
+function pruneOldFiles(now = Date.now()) {
+  if (!RETENTION_MS || now - lastPrune < 60 * 60 * 1000) return;
+  lastPrune = now;
+  for (const dir of [LOG_DIR, SCREENSHOT_DIR]) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const rotated = dir === LOG_DIR && /\.\d{8}T\d{6}Z(-\d+)?\.log$/.test(name);
+      if (dir === LOG_DIR && !rotated) continue;
+      const file = path.join(dir, name);
+      try {
+        const stat = fs.statSync(file);
+        if (stat.isFile() && now - stat.mtimeMs > RETENTION_MS) fs.unlinkSync(file);
+      } catch {}
+    }
+  }
+}
+
+function rotateIfNeeded(file, incomingBytes) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    openedAt.set(file, Date.now());
+    return;
+  }
+  if (!openedAt.has(file)) {
+    openedAt.set(file, stat.birthtimeMs || stat.ctimeMs || Date.now());
+  }
+  const tooBig = MAX_BYTES > 0 && stat.size + incomingBytes > MAX_BYTES;
+  const tooOld = ROTATE_INTERVAL_MS > 0 && Date.now() - openedAt.get(file) > ROTATE_INTERVAL_MS;
+  if (!tooBig && !tooOld) return;
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const base = file.replace(/\.log$/, '');
+  let target = `${base}.${stamp}.log`;
+  for (let i = 1; fs.existsSync(target); i += 1) {
+    target = `${base}.${stamp}-${i}.log`;
+  }
+  fs.renameSync(file, target);
+  openedAt.set(file, Date.now());
+}
+
+export function writeLog(filename, payload) {
+  try {
+    ensureDir(LOG_DIR);
+    const file = path.join(LOG_DIR, filename);
+    const line = `${JSON.stringify(payload)}\n`;
+    rotateIfNeeded(file, Buffer.byteLength(line));
+    fs.appendFileSync(file, line);
+    pruneOldFiles();
+  } catch {}
+}
+
+export function logRequest(label, payload) {
+  writeLog('requests.log', {
+    label,
+    timestamp: new Date().toISOString(),
+    payload: redact(payload)
+  });
+}
+
+export function logResponse(label, payload) {
+  writeLog('responses.log', {
+    label,
+    timestamp: new Date().toISOString(),
+    payload: redact(payload)
+  });
+}
+
+export function logError(label, error) {
+  writeLog('errors.log', {
+    label,
+    timestamp: new Date().toISOString(),
+    error: error?.stack || error?.message || String(error)
+  });
+}
+
+export default {
+  redact,
+  writeLog,
+  logRequest,
+  logResponse,
+  logError
+};
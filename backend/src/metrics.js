@@ -0,0 +1,148 @@
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const registry = new Map();
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map((name) => String(labels[name] ?? '')).join('\u0000');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, idx) => `${name}="${escapeLabel(values[idx])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) return registry.get(metric.name);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, key.split('\u0000'))} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value = 0) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, idx) => {
+        if (value <= bound) entry.counts[idx] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extra = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        this.observe({ ...labels, ...extra }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [];
+      for (const [key, entry] of series) {
+        const values = key.split('\u0000');
+        buckets.forEach((bound, idx) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[idx]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export const requestsTotal = counter(
+  'nerova_brain_requests_total',
+  'HTTP requests handled by the brain.',
+  ['route', 'method', 'status']
+);
+export const requestDuration = histogram(
+  'nerova_brain_request_duration_seconds',
+  'HTTP request latency by route.',
+  ['route', 'method']
+);
+export const upstreamDuration = histogram(
+  'nerova_brain_upstream_duration_seconds',
+  'Latency of upstream LLM calls.',
+  ['provider', 'kind', 'outcome']
+);
+export const decisionFailures = counter(
+  'nerova_brain_decision_failures_total',
+  'LLM outputs that failed to parse or validate.',
+  ['kind', 'stage']
+);
+export const decisionRepairs = counter(
+  'nerova_brain_decision_repairs_total',
+  'Repair re-prompts issued after invalid decisions.',
+  ['kind', 'outcome']
+);
+export const actionsTotal = counter(
+  'nerova_brain_actions_total',
+  'Decisions returned, by action.',
+  ['kind', 'action']
+);
+export const verificationsTotal = counter(
+  'nerova_brain_verifications_total',
+  'Goal verifications returned, by outcome.',
+  ['outcome']
+);
+export const abortsTotal = counter(
+  'nerova_brain_aborts_total',
+  'Requests aborted by the client before completion.',
+  ['route']
+);
+export const errorsTotal = counter(
+  'nerova_brain_errors_total',
+  'Failed requests by route and error code.',
+  ['route', 'code']
+);
+
+export default {
+  counter,
+  histogram,
+  renderMetrics
+};
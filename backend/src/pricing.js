@@ -0,0 +1,80 @@
+import fs from 'node:fs';
+
+// USD per 1M tokens. Override or extend with LLM_PRICING (JSON) or LLM_PRICING_FILE.
+const DEFAULT_PRICING = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 }
+};
+
+function loadOverrides() {
+  try {
+    if (process.env.LLM_PRICING_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.LLM_PRICING_FILE, 'utf8'));
+    }
+    if (process.env.LLM_PRICING) {
+      return JSON.parse(process.env.LLM_PRICING);
+    }
+  } catch (err) {
+    console.warn(`[nerova-brain] ignoring invalid pricing override: ${err?.message || err}`);
+  }
+  return {};
+}
+
+const PRICING = { ...DEFAULT_PRICING, ...loadOverrides() };
+
+export function priceFor(model) {
+  const name = String(model || '').toLowerCase();
+  if (!name) return null;
+  if (PRICING[name]) return PRICING[name];
+  const match = Object.keys(PRICING)
+    .filter((key) => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? PRICING[match] : null;
+}
+
+export function emptyUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+export function normalizeUsage(raw, model, fallbackModel = null) {
+  const pricedModel = priceFor(model) || !fallbackModel ? model : fallbackModel;
+  const input = Number(raw?.prompt_tokens ?? raw?.input_tokens ?? raw?.inputTokens ?? 0) || 0;
+  const output = Number(raw?.completion_tokens ?? raw?.output_tokens ?? raw?.outputTokens ?? 0) || 0;
+  const total = Number(raw?.total_tokens ?? raw?.totalTokens ?? 0) || input + output;
+  const price = priceFor(pricedModel);
+  return {
+    calls: 1,
+    inputTokens: input,
+    outputTokens: output,
+    totalTokens: total,
+    costUsd: price ? (input * price.input + output * price.output) / 1e6 : 0,
+    priced: Boolean(price),
+    model: pricedModel || null
+  };
+}
+
+export function addUsage(total = emptyUsage(), usage = null) {
+  if (!usage) return total;
+  return {
+    calls: (total.calls || 0) + (usage.calls || 0),
+    inputTokens: (total.inputTokens || 0) + (usage.inputTokens || 0),
+    outputTokens: (total.outputTokens || 0) + (usage.outputTokens || 0),
+    totalTokens: (total.totalTokens || 0) + (usage.totalTokens || 0),
+    costUsd: (total.costUsd || 0) + (usage.costUsd || 0)
+  };
+}
+
+export default {
+  priceFor,
+  emptyUsage,
+  normalizeUsage,
+  addUsage
+};
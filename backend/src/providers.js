@@ -0,0 +1,323 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fetchWithRetry } from './upstream.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+function firstValue(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return '';
+}
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+function createOpenAIChatProvider({ name, baseUrl, keyRequired, defaultKeys }) {
+  return {
+    name,
+    baseUrl,
+    keyRequired,
+    defaultKey(role) {
+      return firstValue(...(defaultKeys[role] || []));
+    },
+    defaultModel(role) {
+      if (role === 'assistant') return firstValue(process.env.ASSISTANT_MODEL, process.env.LLM_MODEL) || 'gpt-5-nano';
+      return firstValue(process.env.CRITIC_MODEL, process.env.LLM_MODEL) || 'gpt-5';
+    },
+    async complete({ model, system, text, image = null, apiKey = null, label = 'llm_http', signal = null }) {
+      const content = [{ type: 'text', text }];
+      if (image) {
+        content.push({ type: 'image_url', image_url: { url: `data:image/png;base64,${image}` } });
+      }
+      const body = {
+        model,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content }
+        ]
+      };
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const resp = await fetchWithRetry(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      }, { label, signal });
+      const data = await resp.json();
+      return {
+        raw: (data?.choices?.[0]?.message?.content || '').trim(),
+        model: data?.model || model,
+        usage: data?.usage || null
+      };
+    }
+  };
+}
+
+function createAnthropicProvider({ baseUrl }) {
+  return {
+    name: 'anthropic',
+    baseUrl,
+    keyRequired: true,
+    defaultKey() {
+      return firstValue(process.env.ANTHROPIC_API_KEY);
+    },
+    defaultModel(role) {
+      const roleModel = role === 'assistant' ? process.env.ASSISTANT_MODEL : process.env.CRITIC_MODEL;
+      return firstValue(roleModel, process.env.ANTHROPIC_MODEL, process.env.LLM_MODEL) || 'claude-3-5-sonnet-latest';
+    },
+    async complete({ model, system, text, image = null, apiKey = null, label = 'llm_http', signal = null }) {
+      const content = [];
+      if (image) {
+        content.push({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: image } });
+      }
+      content.push({ type: 'text', text });
+      const body = {
+        model,
+        max_tokens: Number(process.env.ANTHROPIC_MAX_TOKENS || 2048),
+        system: `${system}\n\nRespond with the JSON object only.`,
+        messages: [{ role: 'user', content }]
+      };
+      const resp = await fetchWithRetry(`${baseUrl}/messages`, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      }, { label, signal });
+      const data = await resp.json();
+      const raw = (Array.isArray(data?.content) ? data.content : [])
+        .filter((part) => part?.type === 'text' && typeof part.text === 'string')
+        .map((part) => part.text)
+        .join('')
+        .trim();
+      return { raw, model: data?.model || model, usage: data?.usage || null };
+    }
+  };
+}
+
+const OFFLINE_COUNTERS_MAX = 1000;
+const offlineCounters = new Map();
+const fixtureCache = new Map();
+
+function nextOfflineStep(providerName, meta = {}) {
+  const key = `${providerName}:${meta.sessionId || 'default'}:${meta.kind || 'critic'}`;
+  const current = offlineCounters.get(key) || 0;
+  if (meta.repair && current > 0) return current;
+  offlineCounters.delete(key);
+  offlineCounters.set(key, current + 1);
+  if (offlineCounters.size > OFFLINE_COUNTERS_MAX) {
+    offlineCounters.delete(offlineCounters.keys().next().value);
+  }
+  return current + 1;
+}
+
+export function resetOfflineSteps(sessionId) {
+  for (const key of offlineCounters.keys()) {
+    if (key.split(':')[1] === sessionId) offlineCounters.delete(key);
+  }
+}
+
+function readFixtures(fixturePath) {
+  try {
+    const { mtimeMs } = fs.statSync(fixturePath);
+    const cached = fixtureCache.get(fixturePath);
+    if (cached?.mtimeMs === mtimeMs) return cached.fixtures;
+    const fixtures = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    fixtureCache.set(fixturePath, { mtimeMs, fixtures });
+    return fixtures;
+  } catch (err) {
+    throw new Error(`fixture_unreadable: ${err?.message || err}`);
+  }
+}
+
+function hashScreenshot(image) {
+  if (!image) return '';
+  return crypto.createHash('sha256').update(image).digest('hex');
+}
+
+function toRaw(response) {
+  if (typeof response === 'string') return response.trim();
+  return JSON.stringify(response ?? null);
+}
+
+function fallbackDecision(kind, reason) {
+  if (kind === 'assistant') return { action: 'unknown', reason, confidence: 0 };
+  if (kind === 'bootstrap') return { action: 'proceed', reason, confidence: 0, complete: [] };
+  if (kind === 'verify') return { achieved: false, evidence: reason, confidence: 0 };
+  return { action: 'stop', reason, confidence: 0, continue: false, complete: [] };
+}
+
+function matchesFixture(entry, { step, prompt, screenshotHash, repair }) {
+  if (!entry || typeof entry !== 'object') return false;
+  if (entry.step !== undefined && Number(entry.step) !== step) return false;
+  if (entry.repair !== undefined && Boolean(entry.repair) !== repair) return false;
+  if (typeof entry.prompt === 'string'
+    && !String(prompt || '').toLowerCase().includes(entry.prompt.toLowerCase())) {
+    return false;
+  }
+  if (typeof entry.screenshotHash === 'string'
+    && !screenshotHash.startsWith(entry.screenshotHash.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+function createFixtureProvider({ file }) {
+  const fixturePath = firstValue(file);
+  if (!fixturePath) throw new Error('fixture_file_required');
+  return {
+    name: 'fixture',
+    baseUrl: null,
+    keyRequired: false,
+    defaultKey() {
+      return '';
+    },
+    defaultModel() {
+      return 'fixture';
+    },
+    async complete({ image = null, meta = {} }) {
+      const fixtures = readFixtures(fixturePath);
+      const kind = meta.kind || 'critic';
+      const lookup = {
+        step: nextOfflineStep('fixture', meta),
+        prompt: meta.prompt || '',
+        screenshotHash: hashScreenshot(image),
+        repair: Boolean(meta.repair)
+      };
+      const entries = Array.isArray(fixtures?.[kind]) ? fixtures[kind] : [];
+      const match = (lookup.repair && entries.find((entry) => entry?.repair === true && matchesFixture(entry, lookup)))
+        || entries.find((entry) => matchesFixture(entry, lookup));
+      if (match) {
+        return { raw: toRaw(match.response), model: 'fixture' };
+      }
+      if (fixtures?.default && Object.prototype.hasOwnProperty.call(fixtures.default, kind)) {
+        return { raw: toRaw(fixtures.default[kind]), model: 'fixture' };
+      }
+      throw new Error(`fixture_no_match_${kind}_step_${lookup.step} (screenshot ${lookup.screenshotHash.slice(0, 12)})`);
+    }
+  };
+}
+
+const REPLAY_PATTERNS = {
+  bootstrap: /^00_bootstrap-(\d+)-output\.json$/,
+  critic: /^(\d+)_critic-output\.json$/,
+  verify: /^(\d+)_verify-output\.json$/,
+  assistant: /^(\d+)_assistant-response\.json$/
+};
+
+function readReplayRaw(kind, data) {
+  if (kind === 'assistant') {
+    if (typeof data?.raw === 'string' && data.raw.trim()) return data.raw.trim();
+    return toRaw(data?.parsed ?? null);
+  }
+  if (kind === 'verify') {
+    if (typeof data?.verifier?.raw === 'string' && data.verifier.raw.trim()) return data.verifier.raw.trim();
+    return toRaw({ achieved: data?.achieved ?? false, evidence: data?.evidence || 'replay', confidence: data?.confidence ?? 0 });
+  }
+  if (typeof data?.critic?.raw === 'string' && data.critic.raw.trim()) return data.critic.raw.trim();
+  return toRaw(data?.decision ?? null);
+}
+
+function createReplayProvider({ dir }) {
+  const runDir = firstValue(dir);
+  if (!runDir) throw new Error('replay_dir_required');
+  return {
+    name: 'replay',
+    baseUrl: null,
+    keyRequired: false,
+    defaultKey() {
+      return '';
+    },
+    defaultModel() {
+      return 'replay';
+    },
+    async complete({ meta = {} }) {
+      const kind = meta.kind || 'critic';
+      const pattern = REPLAY_PATTERNS[kind] || REPLAY_PATTERNS.critic;
+      let names;
+      try {
+        names = fs.readdirSync(runDir);
+      } catch (err) {
+        throw new Error(`replay_dir_unreadable: ${err?.message || err}`);
+      }
+      const files = names
+        .map((name) => ({ name, match: pattern.exec(name) }))
+        .filter((entry) => entry.match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]));
+      const step = nextOfflineStep('replay', meta);
+      const file = files[step - 1];
+      if (!file) {
+        return { raw: toRaw(fallbackDecision(kind, 'replay exhausted')), model: 'replay' };
+      }
+      const data = JSON.parse(fs.readFileSync(path.join(runDir, file.name), 'utf8'));
+      return { raw: readReplayRaw(kind, data), model: 'replay' };
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: ({ baseUrl }) => createOpenAIChatProvider({
+    name: 'openai',
+    baseUrl: trimSlash(baseUrl || process.env.OPENAI_BASE_URL || OPENAI_BASE_URL),
+    keyRequired: true,
+    defaultKeys: {
+      critic: [
+        process.env.CRITIC_OPENAI_KEY,
+        process.env.OPENAI_API_KEY,
+        process.env.NEROVA_AGENT_CRITIC_KEY
+      ],
+      assistant: [
+        process.env.RETRIEVER_OPENAI_KEY,
+        process.env.NANO_OPENAI_KEY,
+        process.env.NEROVA_AGENT_ASSISTANT_KEY,
+        process.env.OPENAI_API_KEY
+      ]
+    }
+  }),
+  'openai-compatible': ({ baseUrl }) => {
+    const resolved = trimSlash(baseUrl || process.env.LLM_BASE_URL);
+    if (!resolved) throw new Error('provider_base_url_required');
+    return createOpenAIChatProvider({
+      name: 'openai-compatible',
+      baseUrl: resolved,
+      keyRequired: false,
+      defaultKeys: {
+        critic: [process.env.LLM_API_KEY],
+        assistant: [process.env.LLM_API_KEY]
+      }
+    });
+  },
+  anthropic: ({ baseUrl }) => createAnthropicProvider({
+    baseUrl: trimSlash(baseUrl || process.env.ANTHROPIC_BASE_URL || ANTHROPIC_BASE_URL)
+  }),
+  fixture: () => createFixtureProvider({ file: process.env.LLM_FIXTURE_FILE }),
+  replay: () => createReplayProvider({ dir: process.env.LLM_REPLAY_DIR })
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export function resolveProvider({ provider = null, baseUrl = null, role = 'critic' } = {}) {
+  const roleEnv = role === 'assistant' ? process.env.ASSISTANT_PROVIDER : process.env.CRITIC_PROVIDER;
+  const name = firstValue(provider, roleEnv, process.env.LLM_PROVIDER).toLowerCase() || 'openai';
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`unsupported_provider_${name}. Supported providers: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  const roleBaseUrl = role === 'assistant' ? process.env.ASSISTANT_BASE_URL : process.env.CRITIC_BASE_URL;
+  return factory({ baseUrl: firstValue(baseUrl, roleBaseUrl) || null });
+}
+
+export default {
+  resetOfflineSteps,
+  resolveProvider,
+  PROVIDER_NAMES
+};
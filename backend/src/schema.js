@@ -0,0 +1,432 @@
+import vm from 'node:vm';
+
+const PATTERN_MAX_CHARS = 256;
+const PATTERN_VALUE_MAX_CHARS = 4096;
+const PATTERN_TIMEOUT_MS = 50;
+const patternContext = vm.createContext({ pattern: '', value: '' });
+const patternScript = new vm.Script('new RegExp(pattern).test(value)');
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  null: (value) => value === null
+};
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length
+      && a.every((item, index) => sameValue(item, b[index]));
+  }
+  if (!TYPE_CHECKS.object(a) || !TYPE_CHECKS.object(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && sameValue(a[key], b[key]));
+}
+
+function matchPattern(pattern, value) {
+  if (value.length > PATTERN_VALUE_MAX_CHARS) return `is longer than ${PATTERN_VALUE_MAX_CHARS} characters; cannot match ${pattern}`;
+  patternContext.pattern = pattern;
+  patternContext.value = value;
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) ? null : `expected to match ${pattern}`;
+  } catch {
+    return `timed out matching ${pattern}`;
+  }
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => TYPE_CHECKS[type]?.(value))) {
+      fail(`expected ${types.join(' | ')}, got ${describe(value)}`);
+      return errors;
+    }
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, 'const') && !sameValue(value, schema.const)) {
+    fail(`expected ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((entry) => sameValue(value, entry))) {
+    fail(`expected one of ${schema.enum.map((entry) => JSON.stringify(entry)).join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      fail(`expected at least ${schema.minLength} characters`);
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      fail(`expected at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      const mismatch = matchPattern(schema.pattern, value);
+      if (mismatch) fail(mismatch);
+    }
+  }
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) fail(`expected >= ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) fail(`expected <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) fail(`expected at least ${schema.minItems} items`);
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) fail(`expected at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+  if (TYPE_CHECKS.object(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(child, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      const allowed = new Set(Object.keys(schema.properties || {}));
+      for (const key of Object.keys(value)) {
+        if (!allowed.has(key)) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      }
+    }
+  }
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length) {
+    const attempts = schema.anyOf.map((option) => validateSchema(option, value, path));
+    if (!attempts.some((result) => result.length === 0)) {
+      const best = attempts.reduce((a, b) => (b.length < a.length ? b : a));
+      errors.push(...best);
+    }
+  }
+  if (schema.not && validateSchema(schema.not, value, path).length === 0) {
+    fail(schema.not.description || 'matches a forbidden shape');
+  }
+  return errors;
+}
+
+const ANNOTATION_KEYWORDS = new Set(['$schema', 'title', 'description', 'examples', 'default', '$comment']);
+const NUMBER_KEYWORDS = ['minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems'];
+
+export function checkSchema(schema, path = '$') {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+  if (!TYPE_CHECKS.object(schema)) {
+    fail('expected a schema object');
+    return errors;
+  }
+  for (const [keyword, value] of Object.entries(schema)) {
+    const at = `${path}.${keyword}`;
+    if (ANNOTATION_KEYWORDS.has(keyword)) continue;
+    if (NUMBER_KEYWORDS.includes(keyword)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail('expected a number', at);
+      continue;
+    }
+    switch (keyword) {
+      case 'type': {
+        const types = Array.isArray(value) ? value : [value];
+        if (!types.length || types.some((type) => !TYPE_CHECKS[type])) {
+          fail(`expected one of ${Object.keys(TYPE_CHECKS).join(', ')}`, at);
+        }
+        break;
+      }
+      case 'required':
+        if (!Array.isArray(value) || value.some((key) => typeof key !== 'string')) fail('expected an array of strings', at);
+        break;
+      case 'properties':
+        if (!TYPE_CHECKS.object(value)) {
+          fail('expected an object', at);
+        } else {
+          for (const [key, child] of Object.entries(value)) errors.push(...checkSchema(child, `${at}.${key}`));
+        }
+        break;
+      case 'additionalProperties':
+        if (typeof value !== 'boolean') fail('only true or false is supported', at);
+        break;
+      case 'items':
+      case 'not':
+        errors.push(...checkSchema(value, at));
+        break;
+      case 'anyOf':
+        if (!Array.isArray(value) || !value.length) {
+          fail('expected a non-empty array', at);
+        } else {
+          value.forEach((child, index) => errors.push(...checkSchema(child, `${at}[${index}]`)));
+        }
+        break;
+      case 'enum':
+        if (!Array.isArray(value)) fail('expected an array', at);
+        break;
+      case 'const':
+        break;
+      case 'pattern':
+        if (typeof value !== 'string') {
+          fail('expected a string', at);
+        } else if (value.length > PATTERN_MAX_CHARS) {
+          fail(`expected at most ${PATTERN_MAX_CHARS} characters`, at);
+        } else {
+          try {
+            new RegExp(value);
+          } catch (error) {
+            fail(`invalid regular expression: ${error.message}`, at);
+          }
+        }
+        break;
+      default:
+        fail('unsupported keyword', at);
+    }
+  }
+  return errors;
+}
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const nonBlank = { type: 'string', pattern: '\\S' };
+const point = { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 };
+
+const clickTarget = {
+  type: 'object',
+  required: ['hints'],
+  anyOf: [
+    { required: ['center'] },
+    { required: ['mark'] }
+  ],
+  properties: {
+    id: { type: 'string' },
+    type: { type: 'string' },
+    center: point,
+    mark: { type: 'integer', minimum: 1 },
+    hints: {
+      type: 'object',
+      properties: {
+        text_exact: stringList,
+        roles: stringList,
+        text: stringList
+      },
+      not: {
+        description: 'use hints.roles / hints.text_exact arrays, not singular "role" or string "text_exact"',
+        anyOf: [
+          { required: ['role'] },
+          { required: ['text_exact'], properties: { text_exact: { type: 'string' } } }
+        ]
+      }
+    },
+    content: { type: 'string' },
+    clear: { type: 'boolean' },
+    submit: { type: 'boolean' }
+  },
+  not: {
+    description: 'target.role is not allowed; use target.hints.roles',
+    required: ['role']
+  }
+};
+
+const KEY_PATTERN = '^((Control|Shift|Alt|Meta|ControlOrMeta)\\+)*([A-Za-z0-9]|F([1-9]|1[0-2])|Escape|Tab|Enter|Backspace|Delete|Space|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Home|End|PageUp|PageDown)$';
+
+const selectOption = {
+  type: 'object',
+  properties: {
+    label: nonBlank,
+    value: { type: 'string' },
+    index: { type: 'integer', minimum: 0 }
+  },
+  anyOf: [
+    { required: ['label'] },
+    { required: ['value'] },
+    { required: ['index'] }
+  ]
+};
+
+const dragDestination = {
+  type: 'object',
+  properties: {
+    to: point,
+    offset: point
+  },
+  anyOf: [
+    { required: ['to'] },
+    { required: ['offset'] }
+  ]
+};
+
+const baseDecision = {
+  type: 'object',
+  required: ['action', 'reason', 'confidence'],
+  properties: {
+    reason: nonBlank,
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    continue: { type: 'boolean' },
+    keep: { type: 'boolean' },
+    complete: { type: ['array', 'string'], items: { type: 'string' } }
+  }
+};
+
+export const CRITIC_ACTION_SCHEMAS = {
+  accept: {
+    required: ['target'],
+    properties: { target: clickTarget }
+  },
+  click_by_text_role: {
+    required: ['target'],
+    properties: { target: clickTarget }
+  },
+  scroll: {
+    required: ['scroll'],
+    properties: {
+      scroll: {
+        type: 'object',
+        required: ['direction'],
+        properties: {
+          direction: { enum: ['down', 'up'] },
+          pages: { type: 'integer', minimum: 1, maximum: 3 }
+        }
+      }
+    }
+  },
+  hover: {
+    required: ['target'],
+    properties: { target: clickTarget }
+  },
+  double_click: {
+    required: ['target'],
+    properties: { target: clickTarget }
+  },
+  right_click: {
+    required: ['target'],
+    properties: { target: clickTarget }
+  },
+  select_option: {
+    required: ['target', 'option'],
+    properties: { target: clickTarget, option: selectOption }
+  },
+  press_key: {
+    required: ['key'],
+    properties: {
+      key: { type: 'string', pattern: KEY_PATTERN },
+      repeat: { type: 'integer', minimum: 1, maximum: 10 }
+    }
+  },
+  wait: {
+    required: ['wait'],
+    properties: {
+      wait: {
+        type: 'object',
+        properties: {
+          ms: { type: 'integer', minimum: 100, maximum: 15000 },
+          until: { enum: ['stable', 'network_idle', 'load'] },
+          text: nonBlank
+        },
+        anyOf: [
+          { required: ['ms'] },
+          { required: ['until'] },
+          { required: ['text'] }
+        ]
+      }
+    }
+  },
+  drag: {
+    required: ['target', 'drag'],
+    properties: { target: clickTarget, drag: dragDestination }
+  },
+  switch_tab: {
+    required: ['tab'],
+    properties: { tab: nonBlank }
+  },
+  new_tab: {
+    properties: { url: { type: 'string', pattern: '^https://\\S+$' } }
+  },
+  close_tab: {
+    properties: { tab: nonBlank }
+  },
+  ask_user: {
+    required: ['question'],
+    properties: {
+      question: nonBlank,
+      choices: { type: 'array', items: nonBlank, minItems: 2, maxItems: 10 }
+    }
+  },
+  answer: {
+    required: ['data'],
+    properties: { data: {} }
+  },
+  back: {},
+  navigate: {
+    required: ['url'],
+    properties: { url: { type: 'string', pattern: '^https://\\S+$' } }
+  },
+  resend: {},
+  stop: {}
+};
+
+export const BOOTSTRAP_ACTION_SCHEMAS = {
+  navigate: CRITIC_ACTION_SCHEMAS.navigate,
+  proceed: {},
+  resend: {}
+};
+
+function buildDecisionSchema(actions) {
+  return {
+    ...baseDecision,
+    properties: {
+      ...baseDecision.properties,
+      action: { type: 'string', enum: Object.keys(actions) }
+    }
+  };
+}
+
+export const VERIFY_SCHEMA = {
+  type: 'object',
+  required: ['achieved', 'evidence', 'confidence'],
+  properties: {
+    achieved: { type: 'boolean' },
+    evidence: nonBlank,
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+export function decisionSchema(kind = 'critic', action = null) {
+  const actions = kind === 'bootstrap' ? BOOTSTRAP_ACTION_SCHEMAS : CRITIC_ACTION_SCHEMAS;
+  const base = buildDecisionSchema(actions);
+  const extra = action ? actions[action] : null;
+  if (!extra) return base;
+  return {
+    ...base,
+    required: [...base.required, ...(extra.required || [])],
+    properties: { ...base.properties, ...(extra.properties || {}) }
+  };
+}
+
+export function validateDecision(decision, { kind = 'critic', outputSchema = null } = {}) {
+  if (decision === null || decision === undefined) {
+    return { valid: false, stage: 'parse', errors: [{ path: '$', message: 'output is not valid JSON' }] };
+  }
+  const action = TYPE_CHECKS.object(decision) ? decision.action : null;
+  const errors = validateSchema(kind === 'verify' ? VERIFY_SCHEMA : decisionSchema(kind, action), decision);
+  if (errors.length) return { valid: false, stage: 'schema', errors };
+  if (action === 'answer' && outputSchema) {
+    const dataErrors = validateSchema(outputSchema, decision.data, '$.data');
+    if (dataErrors.length) return { valid: false, stage: 'output_schema', errors: dataErrors };
+  }
+  return { valid: true, stage: null, errors };
+}
+
+export default {
+  validateSchema,
+  checkSchema,
+  validateDecision,
+  decisionSchema,
+  CRITIC_ACTION_SCHEMAS,
+  BOOTSTRAP_ACTION_SCHEMAS,
+  VERIFY_SCHEMA
+};
@@ -1,15 +1,35 @@
 import 'dotenv/config';
 import express from 'express';
-import { runBootstrap, runCritic, runAssistant } from './brain.js';
-import fs from 'node:fs';
-import path from 'node:path';
+import {
+  runBootstrap,
+  runCritic,
+  runVerify,
+  runAssistant,
+  openSession,
+  listSessions,
+  describeSession,
+  updateSession,
+  recordOutcome,
+  closeSession
+} from './brain.js';
+import { errorResponse, metricCode } from './errors.js';
+import { createAuth } from './auth.js';
+import { logRequest, logResponse, logError } from './logs.js';
+import {
+  renderMetrics,
+  requestsTotal,
+  requestDuration,
+  abortsTotal,
+  errorsTotal
+} from './metrics.js';
 
-function trackAbort(req) {
+function trackAbort(req, route = 'unknown') {
   const controller = new AbortController();
   const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
   const abort = () => {
     if (!controller.signal.aborted) {
       console.log(`[abort:${id}] abort signal`);
+      abortsTotal.inc({ route });
       controller.abort();
     }
   };
@@ -26,52 +46,54 @@ function trackAbort(req) {
   };
 }
 
-const LOG_DIR = process.env.LOG_DIR || path.resolve('logs');
-function ensureLogsDir() {
-  try {
-    fs.mkdirSync(LOG_DIR, { recursive: true });
-  } catch {}
-}
-function writeLog(filename, payload) {
-  try {
-    ensureLogsDir();
-    const file = path.join(LOG_DIR, filename);
-    fs.appendFileSync(file, `${JSON.stringify(payload)}\n`);
-  } catch {}
-}
-function logRequest(label, payload) {
-  writeLog('requests.log', {
-    label,
-    timestamp: new Date().toISOString(),
-    payload
-  });
-}
-function logResponse(label, payload) {
-  writeLog('responses.log', {
-    label,
-    timestamp: new Date().toISOString(),
-    payload
-  });
+function sendError(res, error, label = 'unknown') {
+  const { status, retryAfterMs, body } = errorResponse(error);
+  errorsTotal.inc({ route: label, code: metricCode(body.code) });
+  if (retryAfterMs != null) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  }
+  res.status(status).json(body);
 }
-function logError(label, error) {
-  writeLog('errors.log', {
-    label,
-    timestamp: new Date().toISOString(),
-    error: error?.stack || error?.message || String(error)
-  });
+
+function handleSessionRoute(label, handler) {
+  return (req, res) => {
+    try {
+      const result = handler(req, { owner: req.auth?.client });
+      logResponse(label, result);
+      res.json(result);
+    } catch (error) {
+      logError(label, error);
+      sendError(res, error, label);
+    }
+  };
 }
 
+const auth = createAuth();
+
 const app = express();
+app.use((req, res, next) => {
+  const endTimer = requestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const route = req.route?.path || 'unmatched';
+    endTimer({ route });
+    requestsTotal.inc({ route, method: req.method, status: res.statusCode });
+  });
+  next();
+});
 app.use(express.json({ limit: '8mb' }));
 app.get('/healthz', (_req, res) => {
   res.json({ ok: true, status: 'ready' });
 });
+app.get('/metrics', auth.authenticateMetrics, (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+app.use('/v1', auth.authenticate);
 
-app.post('/v1/brain/bootstrap', async (req, res) => {
+app.post('/v1/brain/bootstrap', auth.meter, async (req, res) => {
   logRequest('bootstrap', req.body || {});
-  const { signal, cleanup } = trackAbort(req);
+  const { signal, cleanup } = trackAbort(req, 'bootstrap');
   try {
-    const result = await runBootstrap(req.body || {}, { signal });
+    const result = await runBootstrap(req.body || {}, { signal, allowFallbackKeys: auth.allowFallbackKeys(req), owner: req.auth?.client });
     if (!signal.aborted) {
       logResponse('bootstrap', result);
       if (!res.headersSent) res.json(result);
@@ -82,7 +104,7 @@ app.post('/v1/brain/bootstrap', async (req, res) => {
     } else {
       logError('bootstrap', error);
       if (!res.headersSent) {
-        res.status(400).json({ ok: false, error: error?.message || String(error) });
+        sendError(res, error, 'bootstrap');
       }
     }
   } finally {
@@ -90,11 +112,11 @@ app.post('/v1/brain/bootstrap', async (req, res) => {
   }
 });
 
-app.post('/v1/brain/critic', async (req, res) => {
+app.post('/v1/brain/critic', auth.meter, async (req, res) => {
   logRequest('critic', req.body || {});
-  const { signal, cleanup } = trackAbort(req);
+  const { signal, cleanup } = trackAbort(req, 'critic');
   try {
-    const result = await runCritic(req.body || {}, { signal });
+    const result = await runCritic(req.body || {}, { signal, allowFallbackKeys: auth.allowFallbackKeys(req), owner: req.auth?.client });
     if (!signal.aborted) {
       logResponse('critic', result);
       if (!res.headersSent) res.json(result);
@@ -105,7 +127,30 @@ app.post('/v1/brain/critic', async (req, res) => {
     } else {
       logError('critic', error);
       if (!res.headersSent) {
-        res.status(400).json({ ok: false, error: error?.message || String(error) });
+        sendError(res, error, 'critic');
+      }
+    }
+  } finally {
+    cleanup();
+  }
+});
+
+app.post('/v1/brain/verify', auth.meter, async (req, res) => {
+  logRequest('verify', req.body || {});
+  const { signal, cleanup } = trackAbort(req, 'verify');
+  try {
+    const result = await runVerify(req.body || {}, { signal, allowFallbackKeys: auth.allowFallbackKeys(req), owner: req.auth?.client });
+    if (!signal.aborted) {
+      logResponse('verify', result);
+      if (!res.headersSent) res.json(result);
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      logError('verify', new Error('request_aborted'));
+    } else {
+      logError('verify', error);
+      if (!res.headersSent) {
+        sendError(res, error, 'verify');
       }
     }
   } finally {
@@ -113,11 +158,11 @@ app.post('/v1/brain/critic', async (req, res) => {
   }
 });
 
-app.post('/v1/brain/assistant', async (req, res) => {
+app.post('/v1/brain/assistant', auth.meter, async (req, res) => {
   logRequest('assistant', req.body || {});
-  const { signal, cleanup } = trackAbort(req);
+  const { signal, cleanup } = trackAbort(req, 'assistant');
   try {
-    const result = await runAssistant(req.body || {}, { signal });
+    const result = await runAssistant(req.body || {}, { signal, allowFallbackKeys: auth.allowFallbackKeys(req), owner: req.auth?.client });
     if (!signal.aborted) {
       logResponse('assistant', result);
       if (!res.headersSent) res.json(result);
@@ -128,16 +173,58 @@ app.post('/v1/brain/assistant', async (req, res) => {
     } else {
       logError('assistant', error);
       if (!res.headersSent) {
-        res.status(400).json({ ok: false, error: error?.message || String(error) });
+        sendError(res, error, 'assistant');
       }
     }
   } finally {
     cleanup();
   }
 });
+
+app.post('/v1/brain/sessions', auth.meter, handleSessionRoute('session_create', (req, scope) => {
+  logRequest('session_create', req.body || {});
+  return { ok: true, session: openSession(req.body || {}, scope) };
+}));
+
+app.get('/v1/brain/sessions', auth.meter, handleSessionRoute('session_list', (_req, scope) => ({
+  ok: true,
+  sessions: listSessions(scope)
+})));
+
+app.get('/v1/brain/sessions/:id', auth.meter, handleSessionRoute('session_get', (req, scope) => ({
+  ok: true,
+  session: describeSession(req.params.id, scope)
+})));
+
+app.patch('/v1/brain/sessions/:id', auth.meter, handleSessionRoute('session_update', (req, scope) => {
+  logRequest('session_update', { sessionId: req.params.id, ...(req.body || {}) });
+  return { ok: true, session: updateSession(req.params.id, req.body || {}, scope) };
+}));
+
+app.post('/v1/brain/sessions/:id/outcomes', auth.meter, handleSessionRoute('session_outcome', (req, scope) => {
+  logRequest('session_outcome', { sessionId: req.params.id, ...(req.body || {}) });
+  return { ok: true, action: recordOutcome(req.params.id, req.body || {}, scope) };
+}));
+
+app.delete('/v1/brain/sessions/:id', auth.meter, handleSessionRoute('session_delete', (req, scope) => {
+  logRequest('session_delete', { sessionId: req.params.id });
+  return closeSession(req.params.id, scope);
+}));
+
+app.use((error, req, res, _next) => {
+  const label = req.route?.path || 'unmatched';
+  logError(label, error);
+  if (!res.headersSent) {
+    sendError(res, error, label);
+  }
+});
+
 const port = Number(process.env.PORT || 4000);
 const host = process.env.HOST || '0.0.0.0';
-app.listen(port, host, () => {
+export const server = app.listen(port, host, () => {
   console.log(`[nerova-brain] listening on http://${host}:${port}`);
+  if (!auth.requireAuth) {
+    console.log('[nerova-brain] auth not required; server-side LLM keys are limited to authenticated clients');
+  }
 });
 export default app;
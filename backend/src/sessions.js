@@ -0,0 +1,192 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+export const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,128}$/;
+
+function resolveTtl(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TTL_MS;
+}
+
+function isExpired(session, ttlMs, now = Date.now()) {
+  if (!session) return true;
+  const last = Number(session.updatedAt) || Number(session.createdAt) || 0;
+  return now - last > ttlMs;
+}
+
+export function createMemoryStore({ ttlMs } = {}) {
+  const ttl = resolveTtl(ttlMs);
+  const sessions = new Map();
+
+  const store = {
+    kind: 'memory',
+    ttlMs: ttl,
+    get(id) {
+      if (!id) return null;
+      const session = sessions.get(id) || null;
+      if (session && isExpired(session, ttl)) {
+        sessions.delete(id);
+        return null;
+      }
+      return session;
+    },
+    save(session) {
+      if (session?.id) sessions.set(session.id, session);
+      return session;
+    },
+    delete(id) {
+      return sessions.delete(id);
+    },
+    list() {
+      store.prune();
+      return Array.from(sessions.values());
+    },
+    prune() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, session] of sessions) {
+        if (isExpired(session, ttl, now)) {
+          sessions.delete(id);
+          removed += 1;
+        }
+      }
+      return removed;
+    }
+  };
+  return store;
+}
+
+export function createFileStore({ dir, ttlMs } = {}) {
+  const ttl = resolveTtl(ttlMs);
+  const root = path.resolve(dir || 'sessions');
+  const cache = new Map();
+
+  const ensureDir = () => {
+    fs.mkdirSync(root, { recursive: true });
+  };
+  const fileFor = (id) => {
+    if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) return null;
+    return path.join(root, `${id}.json`);
+  };
+  const readFromDisk = (id) => {
+    const file = fileFor(id);
+    if (!file) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  };
+  const removeFromDisk = (id) => {
+    const file = fileFor(id);
+    if (!file) return false;
+    try {
+      fs.unlinkSync(file);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  ensureDir();
+
+  const store = {
+    kind: 'file',
+    ttlMs: ttl,
+    dir: root,
+    get(id) {
+      if (!id) return null;
+      if (!fileFor(id)) return null;
+      const session = cache.get(id) || readFromDisk(id);
+      if (!session) return null;
+      if (isExpired(session, ttl)) {
+        cache.delete(id);
+        removeFromDisk(id);
+        return null;
+      }
+      cache.set(id, session);
+      return session;
+    },
+    save(session) {
+      if (!session?.id) return session;
+      const file = fileFor(session.id);
+      if (!file) throw new Error('invalid_session_id');
+      cache.set(session.id, session);
+      ensureDir();
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(session));
+      fs.renameSync(tmp, file);
+      return session;
+    },
+    delete(id) {
+      const cached = cache.delete(id);
+      const removed = removeFromDisk(id);
+      return cached || removed;
+    },
+    list() {
+      store.prune();
+      let names = [];
+      try {
+        names = fs.readdirSync(root).filter((name) => name.endsWith('.json'));
+      } catch {}
+      return names
+        .map((name) => store.get(name.slice(0, -'.json'.length)))
+        .filter(Boolean);
+    },
+    prune() {
+      const now = Date.now();
+      let removed = 0;
+      let names = [];
+      try {
+        names = fs.readdirSync(root).filter((name) => name.endsWith('.json'));
+      } catch {}
+      for (const name of names) {
+        const id = name.slice(0, -'.json'.length);
+        const session = cache.get(id) || readFromDisk(id);
+        if (!session || isExpired(session, ttl, now)) {
+          cache.delete(id);
+          removeFromDisk(id);
+          removed += 1;
+        }
+      }
+      for (const [id, session] of cache) {
+        if (isExpired(session, ttl, now)) {
+          cache.delete(id);
+          removed += 1;
+        }
+      }
+      return removed;
+    }
+  };
+  return store;
+}
+
+export function createSessionStore({
+  kind = process.env.SESSION_STORE || 'memory',
+  ttlMs = process.env.SESSION_TTL_MS,
+  dir = process.env.SESSION_DIR || path.resolve('sessions')
+} = {}) {
+  const value = String(kind || 'memory').trim().toLowerCase();
+  let store;
+  if (value === 'memory') {
+    store = createMemoryStore({ ttlMs });
+  } else if (value === 'file') {
+    store = createFileStore({ dir, ttlMs });
+  } else {
+    throw new Error(`unsupported_session_store_${value}. Supported stores: memory, file`);
+  }
+  const timer = setInterval(() => {
+    try { store.prune(); } catch {}
+  }, PRUNE_INTERVAL_MS);
+  timer.unref?.();
+  return store;
+}
+
+export default {
+  SESSION_ID_PATTERN,
+  createSessionStore,
+  createMemoryStore,
+  createFileStore
+};
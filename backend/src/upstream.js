@@ -0,0 +1,83 @@
+import { BrainError, parseRetryAfter, upstreamStatusError, upstreamNetworkError } from './errors.js';
+
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+function numberEnv(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function retryConfig() {
+  return {
+    maxRetries: numberEnv('LLM_MAX_RETRIES', 3),
+    baseDelayMs: numberEnv('LLM_RETRY_BASE_MS', 500),
+    maxDelayMs: numberEnv('LLM_RETRY_MAX_MS', 30000),
+    timeoutMs: numberEnv('LLM_TIMEOUT_MS', 120000)
+  };
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exp = baseDelayMs * (2 ** attempt);
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(maxDelayMs, exp + jitter);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new Error('aborted'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('aborted'));
+    };
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+  });
+}
+
+export async function fetchWithRetry(url, init = {}, {
+  label = 'llm_http',
+  signal = null,
+  config = retryConfig(),
+  idempotent = true
+} = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    const timeoutSignal = config.timeoutMs > 0 ? AbortSignal.timeout(config.timeoutMs) : null;
+    const signals = [signal, timeoutSignal].filter(Boolean);
+    const combined = signals.length > 1 ? AbortSignal.any(signals) : (signals[0] || undefined);
+    let error;
+    let unprocessed = false;
+    try {
+      const resp = await fetch(url, { ...init, signal: combined });
+      if (resp.ok) return resp;
+      const text = await resp.text().catch(() => '');
+      const retryAfterMs = parseRetryAfter(resp.headers.get('retry-after'));
+      error = upstreamStatusError(label, resp.status, text, retryAfterMs);
+      unprocessed = resp.status === 429;
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (err instanceof BrainError) {
+        error = err;
+      } else {
+        error = upstreamNetworkError(label, err, { timedOut: Boolean(timeoutSignal?.aborted) });
+        unprocessed = NOT_SENT_CODES.has(err?.cause?.code || err?.code);
+      }
+    }
+    if (!error.retryable || (!idempotent && !unprocessed) || attempt >= config.maxRetries) throw error;
+    const wait = error.retryAfterMs != null
+      ? Math.min(config.maxDelayMs, error.retryAfterMs)
+      : backoffDelay(attempt, config);
+    console.warn(`[nerova-brain] ${label} retry ${attempt + 1}/${config.maxRetries} in ${Math.round(wait)}ms (${error.code})`);
+    await sleep(wait, signal);
+  }
+}
+
+export default {
+  fetchWithRetry,
+  retryConfig
+};
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuth, loadKeys } from '../src/auth.js';
+
+function call(auth, client) {
+  const req = { auth: { client, key: { rateLimitPerMinute: 10, dailyQuota: 100 } } };
+  const res = { set() {} };
+  let result = 'pending';
+  auth.meter(req, res, (error) => { result = error || null; });
+  return result;
+}
+
+test('meter forgets idle clients and previous days', (t) => {
+  const realNow = Date.now;
+  t.after(() => { Date.now = realNow; });
+  let now = Date.parse('2026-01-01T23:58:00.000Z');
+  Date.now = () => now;
+
+  const auth = createAuth({ keys: [], defaults: { rateLimitPerMinute: 10, dailyQuota: 100 } });
+  assert.equal(call(auth, 'a'), null);
+  assert.equal(call(auth, 'b'), null);
+  assert.deepEqual(auth.trackedClients(), { windows: 2, daily: 2 });
+
+  now += 5 * 60 * 1000;
+  assert.equal(call(auth, 'c'), null);
+  assert.deepEqual(auth.trackedClients(), { windows: 1, daily: 1 });
+});
+
+function metrics(auth, authorization) {
+  const req = { ip: '127.0.0.1', get: () => authorization };
+  let result = 'pending';
+  auth.authenticateMetrics(req, {}, (error) => { result = error ? error.code : null; });
+  return result;
+}
+
+test('metrics reject anonymous scrapes and honour METRICS_TOKEN', (t) => {
+  const open = createAuth({ keys: [], defaults: { rateLimitPerMinute: 10, dailyQuota: 100 } });
+  assert.equal(metrics(open, undefined), 'auth_required');
+
+  const keyed = createAuth(loadKeys({ file: '', inline: 'ops:secret' }));
+  assert.equal(metrics(keyed, 'Bearer secret'), null);
+  assert.equal(metrics(keyed, 'Bearer wrong'), 'invalid_token');
+
+  process.env.METRICS_TOKEN = 'scrape';
+  t.after(() => { delete process.env.METRICS_TOKEN; });
+  const scraped = createAuth(loadKeys({ file: '', inline: 'ops:secret' }));
+  assert.equal(metrics(scraped, 'Bearer scrape'), null);
+  assert.equal(metrics(scraped, 'Bearer secret'), 'invalid_token');
+  assert.equal(metrics(scraped, undefined), 'auth_required');
+});
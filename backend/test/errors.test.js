@@ -0,0 +1,11 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BrainError, errorResponse, metricCode } from '../src/errors.js';
+
+test('metricCode keeps known codes and folds the rest into a fixed set', () => {
+  assert.equal(metricCode(errorResponse(new Error('prompt_required')).body.code), 'prompt_required');
+  assert.equal(metricCode(errorResponse(new BrainError('rate_limited')).body.code), 'rate_limited');
+  assert.equal(metricCode(errorResponse(new Error('unsupported_mode_x1. Supported modes: browser')).body.code), 'unsupported_mode');
+  assert.equal(metricCode(errorResponse(new Error('Cannot read properties of undefined')).body.code), 'other');
+  assert.equal(metricCode(errorResponse(new Error(`boom${Math.random()}`)).body.code), 'other');
+});
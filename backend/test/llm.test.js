@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { callCritic } from '../src/llm.js';
+
+const screenshot = 'A'.repeat(100);
+
+test('callCritic rejects a client base URL without a client key', async () => {
+  await assert.rejects(
+    callCritic({ prompt: 'go', screenshot, provider: 'openai', providerBaseUrl: 'https://attacker.example/v1' }),
+    (error) => error.code === 'provider_base_url_forbidden' && error.status === 403
+  );
+});
+
+test('callCritic accepts an allowlisted base URL', async () => {
+  process.env.LLM_BASE_URL_ALLOWLIST = 'http://127.0.0.1:9/v1/';
+  try {
+    await assert.rejects(
+      callCritic({ prompt: 'go', screenshot, provider: 'openai-compatible', providerBaseUrl: 'http://127.0.0.1:9/v1', signal: AbortSignal.abort() }),
+      (error) => error.code !== 'provider_base_url_forbidden'
+    );
+  } finally {
+    delete process.env.LLM_BASE_URL_ALLOWLIST;
+  }
+});
+
+test('callCritic rejects private and loopback base URLs even with a client key', async () => {
+  for (const providerBaseUrl of [
+    'http://169.254.169.254/latest',
+    'http://localhost:8080/v1',
+    'http://127.0.0.1:9/v1',
+    'http://[::1]:9/v1',
+    'http://10.0.0.5/v1',
+    'http://[::ffff:192.168.1.1]/v1',
+    'file:///etc/passwd'
+  ]) {
+    await assert.rejects(
+      callCritic({ prompt: 'go', screenshot, provider: 'openai-compatible', providerBaseUrl, openaiApiKey: 'sk-client' }),
+      (error) => error.code === 'provider_base_url_forbidden' && error.status === 403,
+      providerBaseUrl
+    );
+  }
+});
+
+test('callCritic accepts a public base URL with a client key', async () => {
+  await assert.rejects(
+    callCritic({
+      prompt: 'go',
+      screenshot,
+      provider: 'openai-compatible',
+      providerBaseUrl: 'https://93.184.216.34/v1',
+      openaiApiKey: 'sk-client',
+      signal: AbortSignal.abort()
+    }),
+    (error) => error.code !== 'provider_base_url_forbidden'
+  );
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../src/logs.js';
+
+test('redact masks credential fields but keeps decision.key', () => {
+  const entry = redact({
+    criticKey: 'sk-critic',
+    assistantKey: 'sk-assistant',
+    openaiApiKey: 'sk-openai',
+    api_key: 'sk-raw',
+    authorization: 'Bearer t',
+    clientSecret: 's',
+    accessToken: 't',
+    decision: { action: 'press_key', key: 'Enter', keys: ['Shift'] }
+  });
+  assert.equal(entry.criticKey, '***');
+  assert.equal(entry.assistantKey, '***');
+  assert.equal(entry.openaiApiKey, '***');
+  assert.equal(entry.api_key, '***');
+  assert.equal(entry.authorization, '***');
+  assert.equal(entry.clientSecret, '***');
+  assert.equal(entry.accessToken, '***');
+  assert.equal(entry.decision.key, 'Enter');
+  assert.deepEqual(entry.decision.keys, ['Shift']);
+});
@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runCritic, recordOutcome, describeSession } from '../src/brain.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nerova-outcomes-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const file = path.join(dir, 'fixtures.json');
+fs.writeFileSync(file, JSON.stringify({
+  default: { critic: { action: 'back', reason: 'again', confidence: 0.5, continue: true } }
+}));
+process.env.LLM_FIXTURE_FILE = file;
+
+const screenshot = 'A'.repeat(100);
+const critic = (sessionId, extra = {}) => runCritic({ prompt: 'go', screenshot, sessionId, provider: 'fixture', ...extra });
+const outcomes = (sessionId) => describeSession(sessionId).actionHistory.map((entry) => [entry.id, entry.outcome]);
+
+test('an outcome without actionId lands on the latest unreported action', async () => {
+  const first = await critic('outcome-latest');
+  const second = await critic('outcome-latest');
+  assert.deepEqual([first.actionId, second.actionId], [1, 2]);
+
+  assert.equal(recordOutcome('outcome-latest', { status: 'failed', error: '  timeout  ' }).id, 2);
+  assert.equal(recordOutcome('outcome-latest', { status: 'ok', changed: true }).id, 1);
+  assert.deepEqual(outcomes('outcome-latest'), [
+    [1, { status: 'ok', changed: true }],
+    [2, { status: 'failed', error: 'timeout' }]
+  ]);
+  assert.throws(() => recordOutcome('outcome-latest', { status: 'ok' }), /action_not_found/);
+});
+
+test('an outcome with actionId overwrites that action', async () => {
+  await critic('outcome-id');
+  await critic('outcome-id');
+  recordOutcome('outcome-id', { status: 'ok' });
+  assert.equal(recordOutcome('outcome-id', { actionId: 2, status: 'rejected', detail: 'on the avoid list' }).id, 2);
+  assert.deepEqual(outcomes('outcome-id'), [[1, null], [2, { status: 'rejected', detail: 'on the avoid list' }]]);
+  assert.throws(() => recordOutcome('outcome-id', { actionId: 9, status: 'ok' }), /action_not_found/);
+  assert.throws(() => recordOutcome('outcome-id', { status: 'done' }), /invalid_outcome_status/);
+});
+
+test('the critic downgrades an ok outcome the effect says changed nothing', async () => {
+  await critic('outcome-effect');
+  await critic('outcome-effect', {
+    lastOutcome: { status: 'ok' },
+    lastActionEffect: { action: 'back', changed: false }
+  });
+  await critic('outcome-effect', {
+    lastOutcome: { status: 'failed', error: 'blocked' },
+    lastActionEffect: { action: 'back', changed: true }
+  });
+  await critic('outcome-effect', { lastActionEffect: { action: 'back', changed: false } });
+  assert.deepEqual(outcomes('outcome-effect'), [
+    [1, { status: 'no_effect', changed: false }],
+    [2, { status: 'failed', error: 'blocked', changed: true }],
+    [3, null],
+    [4, null]
+  ]);
+});
@@ -0,0 +1,53 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runCritic, closeSession } from '../src/brain.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nerova-offline-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const screenshot = 'A'.repeat(100);
+const back = (reason) => ({ action: 'back', reason, confidence: 0.5, continue: true });
+const stop = (reason) => ({ action: 'stop', reason, confidence: 1, continue: false, complete: [] });
+const invalid = { action: 'back', confidence: 0.5 };
+
+test('fixture steps advance per critic call and the repair call reuses its step', async () => {
+  const file = path.join(dir, 'fixtures.json');
+  fs.writeFileSync(file, JSON.stringify({
+    critic: [
+      { step: 1, repair: true, response: back('repaired') },
+      { step: 1, response: invalid },
+      { step: 2, response: stop('second') }
+    ]
+  }));
+  process.env.LLM_FIXTURE_FILE = file;
+  const call = () => runCritic({ prompt: 'go', screenshot, sessionId: 'fixture-seq', provider: 'fixture' });
+
+  const first = await call();
+  assert.equal(first.decision.reason, 'repaired');
+  assert.equal(first.validation.repaired, true);
+  const second = await call();
+  assert.equal(second.decision.reason, 'second');
+
+  closeSession('fixture-seq');
+  assert.equal((await call()).decision.reason, 'repaired');
+});
+
+test('replay keeps its place after a repair call', async () => {
+  const runDir = path.join(dir, 'run');
+  fs.mkdirSync(runDir);
+  const write = (name, decision) => fs.writeFileSync(path.join(runDir, name), JSON.stringify({ critic: { raw: JSON.stringify(decision) } }));
+  write('01_critic-output.json', invalid);
+  write('02_critic-output.json', back('step two'));
+  write('03_critic-output.json', stop('step three'));
+  process.env.LLM_REPLAY_DIR = runDir;
+  const call = () => runCritic({ prompt: 'go', screenshot, sessionId: 'replay-seq', provider: 'replay' });
+
+  const first = await call();
+  assert.equal(first.decision, null);
+  assert.equal(first.validation.attempts, 2);
+  assert.equal((await call()).decision.reason, 'step two');
+  assert.equal((await call()).decision.reason, 'step three');
+});
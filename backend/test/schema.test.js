@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSchema, validateDecision, validateSchema } from '../src/schema.js';
+import { runCritic, describeSession } from '../src/brain.js';
+
+const screenshot = 'A'.repeat(100);
+const decision = { action: 'answer', data: { price: '12.99' }, reason: 'seen', confidence: 0.9, continue: false };
+
+test('checkSchema accepts the supported keyword subset', () => {
+  const schema = {
+    type: 'object',
+    required: ['price'],
+    additionalProperties: false,
+    properties: {
+      price: { type: 'string', pattern: '^\\d+\\.\\d{2}$', maxLength: 10 },
+      tags: { type: 'array', items: { enum: ['a', 'b'] }, minItems: 1 }
+    }
+  };
+  assert.deepEqual(checkSchema(schema), []);
+  assert.equal(validateDecision(decision, { outputSchema: schema }).valid, true);
+});
+
+test('checkSchema rejects an invalid pattern', () => {
+  const errors = checkSchema({ type: 'object', properties: { price: { type: 'string', pattern: '([0-9' } } });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, '$.properties.price.pattern');
+  assert.match(errors[0].message, /invalid regular expression/);
+});
+
+test('checkSchema rejects unsupported keywords', () => {
+  const errors = checkSchema({
+    type: 'object',
+    properties: { id: { $ref: '#/defs/id' }, kind: { oneOf: [{ type: 'string' }] }, when: { type: 'string', format: 'date' } }
+  });
+  assert.deepEqual(errors.map((error) => error.path), [
+    '$.properties.id.$ref',
+    '$.properties.kind.oneOf',
+    '$.properties.when.format'
+  ]);
+});
+
+test('runCritic rejects a bad output schema before calling the model', async () => {
+  await assert.rejects(
+    runCritic({ prompt: 'price?', screenshot, provider: 'fixture', outputSchema: { type: 'object', properties: { p: { pattern: '(' } } } }),
+    /^Error: invalid_output_schema: \$\.properties\.p\.pattern invalid regular expression/
+  );
+  await assert.rejects(
+    runCritic({ prompt: 'price?', screenshot, provider: 'fixture', outputSchema: { allOf: [] } }),
+    /invalid_output_schema: \$\.allOf unsupported keyword/
+  );
+});
+
+test('checkSchema rejects overlong patterns', () => {
+  const errors = checkSchema({ type: 'string', pattern: 'a'.repeat(300) });
+  assert.equal(errors[0].path, '$.pattern');
+});
+
+test('catastrophic patterns time out instead of blocking the request', () => {
+  const started = Date.now();
+  const errors = validateSchema({ type: 'string', pattern: '^(a+)+$' }, `${'a'.repeat(40)}!`);
+  assert.ok(Date.now() - started < 1000);
+  assert.match(errors[0].message, /^timed out matching/);
+  assert.match(validateSchema({ pattern: 'a' }, 'a'.repeat(5000))[0].message, /longer than/);
+});
+
+test('const and enum compare objects and arrays by value', () => {
+  assert.deepEqual(validateSchema({ const: { a: [1, 2], b: null } }, { b: null, a: [1, 2] }), []);
+  assert.equal(validateSchema({ const: { a: [1, 2] } }, { a: [2, 1] }).length, 1);
+  assert.deepEqual(validateSchema({ enum: [[1], { x: 'y' }] }, { x: 'y' }), []);
+  assert.equal(validateSchema({ enum: [[1], { x: 'y' }] }, { x: 'z' }).length, 1);
+});
+
+test('minLength counts the raw string', () => {
+  assert.deepEqual(validateSchema({ type: 'string', minLength: 3 }, '   '), []);
+  assert.equal(validateSchema({ type: 'string', minLength: 3 }, 'ab').length, 1);
+  const blank = { action: 'back', reason: '   ', confidence: 0.5, continue: true };
+  assert.equal(validateDecision(blank).valid, false);
+});
+
+test('runCritic does not create a session for a rejected output schema', async () => {
+  await assert.rejects(
+    runCritic({ prompt: 'price?', screenshot, sessionId: 'schema-reject-1', provider: 'fixture', outputSchema: { oneOf: [] } }),
+    /invalid_output_schema/
+  );
+  assert.throws(() => describeSession('schema-reject-1'), /^Error: session_not_found$/);
+});
@@ -0,0 +1,79 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nerova-server-'));
+
+process.env.PORT = '0';
+process.env.HOST = '127.0.0.1';
+process.env.BRAIN_API_KEYS = 'alice:alice-token,bob:bob-token';
+process.env.LOG_DIR = logDir;
+const { server } = await import('../src/server.js');
+if (!server.listening) await once(server, 'listening');
+test.after(() => {
+  server.close();
+  fs.rmSync(logDir, { recursive: true, force: true });
+});
+
+const base = `http://127.0.0.1:${server.address().port}/v1/brain/sessions`;
+
+async function call(method, route, { token = 'alice-token', body } = {}) {
+  const response = await fetch(`${base}${route}`, {
+    method,
+    headers: {
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...(body ? { 'content-type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('sessions can be created, read, patched and closed', async () => {
+  const created = await call('POST', '', { body: { contextNotes: ' prefer email ', completeHistory: ['logged in'] } });
+  assert.equal(created.status, 200);
+  const { id } = created.body.session;
+  assert.equal(created.body.session.contextNotes, 'prefer email');
+
+  const patched = await call('PATCH', `/${id}`, { body: { currentUrl: 'https://example.com', addComplete: ['opened inbox'], removeComplete: ['LOGGED IN'] } });
+  assert.equal(patched.status, 200);
+  assert.equal(patched.body.session.currentUrl, 'https://example.com');
+  assert.deepEqual(patched.body.session.completeHistory, ['opened inbox']);
+
+  const fetched = await call('GET', `/${id}`);
+  assert.equal(fetched.body.session.id, id);
+  const listed = await call('GET', '');
+  assert.deepEqual(listed.body.sessions.map((session) => [session.id, session.completeCount]), [[id, 1]]);
+
+  assert.deepEqual((await call('DELETE', `/${id}`)).body, { ok: true, sessionId: id });
+  const gone = await call('GET', `/${id}`);
+  assert.equal(gone.status, 404);
+  assert.equal(gone.body.code, 'session_not_found');
+});
+
+test('sessions are scoped to the key that created them', async () => {
+  const { body } = await call('POST', '', { token: 'bob-token', body: {} });
+  const { id } = body.session;
+  assert.equal((await call('GET', `/${id}`)).status, 404);
+  assert.equal((await call('PATCH', `/${id}`, { body: { contextNotes: 'x' } })).status, 404);
+  assert.equal((await call('DELETE', `/${id}`)).status, 404);
+  assert.equal((await call('GET', '')).body.sessions.some((session) => session.id === id), false);
+  assert.equal((await call('GET', `/${id}`, { token: 'bob-token' })).status, 200);
+  assert.equal((await call('GET', '', { token: null })).status, 401);
+});
+
+test('session routes report invalid input and unknown actions', async () => {
+  const bad = await call('POST', '', { body: { contextNotes: 5 } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.code, 'invalid_context_notes');
+
+  const { body } = await call('POST', '', {});
+  const outcome = await call('POST', `/${body.session.id}/outcomes`, { body: { status: 'ok' } });
+  assert.equal(outcome.status, 404);
+  assert.equal(outcome.body.code, 'action_not_found');
+  const patch = await call('PATCH', `/${body.session.id}`, { body: { completeHistory: 'done' } });
+  assert.equal(patch.body.code, 'invalid_complete_history');
+});
@@ -0,0 +1,26 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nerova-brain-sessions-'));
+process.env.SESSION_STORE = 'file';
+process.env.SESSION_DIR = dir;
+const { openSession, describeSession, updateSession } = await import('../src/brain.js');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('reading a file-backed session does not rewrite it', async () => {
+  const session = openSession({ contextNotes: 'notes' });
+  const file = path.join(dir, `${session.id}.json`);
+  const written = fs.readFileSync(file, 'utf8');
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const read = describeSession(session.id);
+  assert.ok(read.updatedAt > JSON.parse(written).updatedAt);
+  assert.equal(fs.readFileSync(file, 'utf8'), written);
+
+  updateSession(session.id, { contextNotes: 'changed' });
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).contextNotes, 'changed');
+});
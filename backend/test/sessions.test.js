@@ -0,0 +1,46 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStore } from '../src/sessions.js';
+import {
+  openSession,
+  listSessions,
+  describeSession,
+  updateSession,
+  recordOutcome,
+  closeSession
+} from '../src/brain.js';
+
+test('sessions are only visible to the client that opened them', () => {
+  const alice = { owner: 'alice' };
+  const bob = { owner: 'bob' };
+  const session = openSession({ contextNotes: 'alice notes' }, alice);
+
+  assert.equal(describeSession(session.id, alice).contextNotes, 'alice notes');
+  assert.ok(listSessions(alice).some((entry) => entry.id === session.id));
+  assert.ok(!listSessions(bob).some((entry) => entry.id === session.id));
+
+  assert.throws(() => describeSession(session.id, bob), /^Error: session_not_found$/);
+  assert.throws(() => updateSession(session.id, { contextNotes: 'bob' }, bob), /^Error: session_not_found$/);
+  assert.throws(() => recordOutcome(session.id, { actionId: 'x', status: 'ok' }, bob), /^Error: session_not_found$/);
+  assert.throws(() => closeSession(session.id, bob), /^Error: session_not_found$/);
+
+  assert.equal(describeSession(session.id, alice).contextNotes, 'alice notes');
+  assert.deepEqual(closeSession(session.id, alice), { ok: true, sessionId: session.id });
+});
+
+test('file store rejects ids it cannot map one-to-one onto a file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nerova-sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createFileStore({ dir });
+  const now = Date.now();
+  store.save({ id: 'ab', contextNotes: 'ab', createdAt: now, updatedAt: now });
+
+  assert.equal(store.get('a.b'), null);
+  assert.equal(store.get('../ab'), null);
+  assert.throws(() => store.save({ id: 'a.b', createdAt: now, updatedAt: now }), /^Error: invalid_session_id$/);
+  assert.equal(store.get('ab').contextNotes, 'ab');
+  assert.deepEqual(fs.readdirSync(dir), ['ab.json']);
+});
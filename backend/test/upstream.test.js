@@ -0,0 +1,68 @@
+import http from 'node:http';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchWithRetry } from '../src/upstream.js';
+
+const config = { maxRetries: 2, baseDelayMs: 5000, maxDelayMs: 50, timeoutMs: 2000 };
+
+async function serve(t, replies) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    hits.push(req.method);
+    const [status, headers = {}] = replies[Math.min(hits.length - 1, replies.length - 1)];
+    res.writeHead(status, headers);
+    res.end('{}');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/x`, hits };
+}
+
+test('Retry-After drives the wait instead of the backoff', async (t) => {
+  const { url, hits } = await serve(t, [[503, { 'Retry-After': '0' }], [200]]);
+  const started = Date.now();
+  const resp = await fetchWithRetry(url, {}, { config: { ...config, maxDelayMs: 30000 } });
+  assert.equal(resp.status, 200);
+  assert.equal(hits.length, 2);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('Retry-After is capped by the maximum delay', async (t) => {
+  const { url, hits } = await serve(t, [[429, { 'Retry-After': '120' }], [200]]);
+  const started = Date.now();
+  await fetchWithRetry(url, {}, { config });
+  assert.equal(hits.length, 2);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('5xx statuses outside the retryable set are not retried', async (t) => {
+  const { url, hits } = await serve(t, [[501], [200]]);
+  await assert.rejects(fetchWithRetry(url, {}, { config }), (error) => {
+    assert.equal(error.code, 'upstream_unavailable');
+    assert.equal(error.retryable, false);
+    return true;
+  });
+  assert.equal(hits.length, 1);
+});
+
+test('non-idempotent calls are not retried once the upstream may have processed them', async (t) => {
+  const { url, hits } = await serve(t, [[500], [200]]);
+  await assert.rejects(fetchWithRetry(url, { method: 'POST' }, { config, idempotent: false }), /upstream_unavailable|llm_http_500/);
+  assert.equal(hits.length, 1);
+});
+
+test('non-idempotent calls still retry rate limits and refused connections', async (t) => {
+  const { url, hits } = await serve(t, [[429, { 'Retry-After': '0' }], [200]]);
+  const resp = await fetchWithRetry(url, { method: 'POST' }, { config, idempotent: false });
+  assert.equal(resp.status, 200);
+  assert.equal(hits.length, 2);
+
+  const probe = http.createServer();
+  await new Promise((resolve) => probe.listen(0, '127.0.0.1', resolve));
+  const closedUrl = `http://127.0.0.1:${probe.address().port}/x`;
+  await new Promise((resolve) => probe.close(resolve));
+  await assert.rejects(
+    fetchWithRetry(closedUrl, { method: 'POST' }, { config: { ...config, baseDelayMs: 0 }, idempotent: false }),
+    (error) => error.code === 'upstream_unreachable'
+  );
+});
@@ -0,0 +1,70 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { openSession, runVerify, describeSession } from '../src/brain.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nerova-verify-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const file = path.join(dir, 'fixtures.json');
+fs.writeFileSync(file, JSON.stringify({
+  verify: [
+    { prompt: 'checkout', response: { achieved: true, evidence: 'Order #42 confirmed', confidence: 0.9 } },
+    { prompt: 'broken', repair: false, response: { achieved: 'yes', evidence: '' } },
+    { prompt: 'broken', repair: true, response: { achieved: false, evidence: 'Cart is still open', confidence: 0.6 } },
+    { prompt: 'garbage', response: 'not json' }
+  ]
+}));
+process.env.LLM_FIXTURE_FILE = file;
+
+const screenshot = 'A'.repeat(100);
+const verify = (body) => runVerify({ screenshot, provider: 'fixture', ...body });
+
+test('verify reads the session and records the verdict on it', async () => {
+  const { id } = openSession({ contextNotes: 'use the saved card', currentUrl: 'https://shop.test/cart', completeHistory: ['added item'] });
+  const result = await verify({ prompt: 'Finish checkout', sessionId: id, successCriteria: 'an order number is shown', result: { order: 42 } });
+  assert.equal(result.achieved, true);
+  assert.equal(result.evidence, 'Order #42 confirmed');
+  assert.equal(result.confidence, 0.9);
+  assert.equal(result.sessionId, id);
+  assert.deepEqual(result.verifier.user, {
+    goal: { original_prompt: 'Finish checkout', new_context: 'use the saved card' },
+    context: { current_url: 'https://shop.test/cart' },
+    complete_history: ['added item'],
+    success_criteria: ['an order number is shown'],
+    result: { order: 42 }
+  });
+  const session = describeSession(id);
+  assert.equal(session.verification.achieved, true);
+  assert.equal(session.usage.calls, 1);
+});
+
+test('verify without a session uses the history it is given', async () => {
+  const result = await verify({ prompt: 'checkout', completeHistory: ['paid'] });
+  assert.equal(result.sessionId, null);
+  assert.equal(result.usage.session, null);
+  assert.deepEqual(result.verifier.user.complete_history, ['paid']);
+  assert.equal('success_criteria' in result.verifier.user, false);
+});
+
+test('an invalid verdict is repaired once and otherwise reported as unknown', async () => {
+  const repaired = await verify({ prompt: 'broken cart' });
+  assert.equal(repaired.achieved, false);
+  assert.equal(repaired.evidence, 'Cart is still open');
+  assert.equal(repaired.validation.repaired, true);
+  assert.equal(repaired.validation.attempts, 2);
+
+  const failed = await verify({ prompt: 'garbage' });
+  assert.equal(failed.achieved, null);
+  assert.equal(failed.confidence, null);
+  assert.equal(failed.validation.valid, false);
+});
+
+test('verify rejects bad input before calling the model', async () => {
+  await assert.rejects(verify({ prompt: ' ' }), /prompt_required/);
+  await assert.rejects(verify({ prompt: 'checkout', screenshot: '' }), /screenshot_required/);
+  await assert.rejects(verify({ prompt: 'checkout', successCriteria: 3 }), /invalid_success_criteria/);
+  await assert.rejects(verify({ prompt: 'checkout', completeHistory: ['paid', 7] }), /invalid_complete_history/);
+});
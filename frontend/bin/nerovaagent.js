@@ -10,7 +10,9 @@ import {
   shutdownContext,
   requestPause,
   supplyContext,
-  abortRun
+  abortRun,
+  onPauseRequest,
+  parseDuration
 } from '../src/runner.js';
 
 const RUNS_ROOT = path.join(os.homedir(), '.nerovaagent', 'runs');
@@ -24,11 +26,23 @@ function printHelp() {
     --context <string>              Additional context notes for the run
     --context-file <path>           Read context notes from a file
     --brain-url <url>               Override brain backend URL (default http://127.0.0.1:4000)
+    --brain-token <token>           Bearer token for the brain (default NEROVA_BRAIN_TOKEN)
     --critic-key <key>              Override critic OpenAI key
     --assistant-key <key>           Override Step 4 assistant key
     --assistant-id <id>             Override Step 4 assistant id
     --boot-url <url>                Navigate to this URL before starting the loop
     --max-steps <n>                 Limit the number of iterations (default 10)
+    --collector <dom|a11y>          Step 3 element collector (default NEROVA_COLLECTOR or dom)
+    --marks                         Draw numbered boxes on screenshots so the critic can answer by mark
+    --max-duration <time>           Stop after this long, e.g. 90s, 30m, 2h (default NEROVA_MAX_DURATION)
+    --max-cost <usd>                Stop once estimated LLM cost reaches this (default NEROVA_MAX_COST)
+    --max-tokens <n>                Stop once LLM token usage reaches this (default NEROVA_MAX_TOKENS)
+    --output-schema <json|path>     JSON Schema for the run's answer; written to result.json and printed
+    --no-verify                     Skip the goal verification check when the critic stops
+    --success-criteria <text>       What must be visible for the goal to count as achieved
+    --verify-retries <n>            Keep going this many times after a failed verification (default 0)
+    --answers-file <path>           JSON { "question or keyword": "answer" } used for ask_user without a TTY
+    --stuck-window <n>              Steps inspected for loops before escalating, 0 disables (default 6)
   help                              Show this message
 `);
 }
@@ -55,6 +69,9 @@ function parseArgs(argv) {
       case '--brain-url':
         if (next) out.brainUrl = consume();
         break;
+      case '--brain-token':
+        if (next) out.brainToken = consume();
+        break;
       case '--critic-key':
         if (next) out.criticKey = consume();
         break;
@@ -70,6 +87,39 @@ function parseArgs(argv) {
       case '--max-steps':
         if (next) out.maxSteps = Number(consume());
         break;
+      case '--marks':
+        out.marks = true;
+        break;
+      case '--collector':
+        if (next) out.collector = consume();
+        break;
+      case '--max-duration':
+        if (next) out.maxDuration = consume();
+        break;
+      case '--max-cost':
+        if (next) out.maxCost = Number(consume());
+        break;
+      case '--max-tokens':
+        if (next) out.maxTokens = Number(consume());
+        break;
+      case '--output-schema':
+        if (next) out.outputSchema = consume();
+        break;
+      case '--no-verify':
+        out.verify = false;
+        break;
+      case '--success-criteria':
+        if (next) out.successCriteria = consume();
+        break;
+      case '--verify-retries':
+        if (next) out.verifyRetries = Number(consume());
+        break;
+      case '--answers-file':
+        if (next) out.answersFile = consume();
+        break;
+      case '--stuck-window':
+        if (next) out.stuckWindow = Number(consume());
+        break;
       default:
         out._.push(token);
         break;
@@ -180,7 +230,7 @@ function setupPauseControls(hooks = {}) {
     keypressAttached = false;
   };
 
-  const promptForContext = () => {
+  const promptForContext = (reason = null, label = 'context> ') => {
     if (contextInterface || awaitingResume) return;
     awaitingResume = true;
 
@@ -203,10 +253,11 @@ function setupPauseControls(hooks = {}) {
     disableRaw();
     try { hooks.pauseInput?.(); } catch {}
 
-    console.log('[nerovaagent] Paused. Enter context (Enter to resume, Ctrl+C to abort).');
+    if (reason) console.log(`[nerovaagent] ${reason}`);
+    console.log(`[nerovaagent] Paused. Enter ${label === 'answer> ' ? 'an answer' : 'context'} (Enter to resume, Ctrl+C to abort).`);
 
     contextInterface = readline.createInterface({ input: process.stdin, output: process.stdout });
-    contextInterface.question('context> ', (answer) => {
+    contextInterface.question(label, (answer) => {
       handleAnswer(answer || '');
     });
     contextInterface.on('SIGINT', () => {
@@ -216,11 +267,18 @@ function setupPauseControls(hooks = {}) {
 
   attachKeypress();
 
+  const stopListening = onPauseRequest(({ message, prompt }) => {
+    if (paused) return;
+    paused = true;
+    promptForContext(message, prompt || undefined);
+  });
+
   const noopSigint = () => {};
   process.on('SIGINT', noopSigint);
 
   return () => {
     detachKeypress();
+    stopListening();
     process.removeListener('SIGINT', noopSigint);
     closeInterface();
     if (!previousRaw && process.stdin.isTTY) {
@@ -278,15 +336,81 @@ function formatWorkflowLine(line) {
       if (Array.isArray(event.completeHistory)) {
         detail += ` complete=[${event.completeHistory.slice(-5).join(', ')}]`;
       }
+      if (event.runUsage) {
+        detail += ` tokens=${event.runUsage.totalTokens} cost=$${Number(event.runUsage.costUsd || 0).toFixed(4)}`;
+      }
+      break;
+    case 'action_effect': {
+      const effect = event.effect || {};
+      const facts = [];
+      if (effect.url_changed) facts.push('url');
+      if (effect.tab_changed) facts.push('tab');
+      if (effect.focus_changed) facts.push('focus');
+      if (effect.screen_diff !== null && effect.screen_diff !== undefined) facts.push(`screen=${effect.screen_diff}`);
+      if (effect.dom_mutations !== null && effect.dom_mutations !== undefined) facts.push(`mutations=${effect.dom_mutations}`);
+      detail = `${effect.action || 'action'} ${effect.changed ? 'changed' : 'NO VISIBLE EFFECT'} (${facts.join(' ')})`;
+      break;
+    }
+    case 'budget_exceeded':
+      detail = `${event.limit} ${event.value} >= ${event.max} at ${event.at || 'n/a'}`;
+      break;
+    case 'stuck_detected':
+      detail = `${event.reason} level=${event.level} -> ${event.escalation} repeated=[${(event.repeated || []).join(' | ')}]`;
+      break;
+    case 'ask_user':
+      detail = `"${event.question || ''}"${event.choices?.length ? ` choices=[${event.choices.join(' | ')}]` : ''}`;
+      break;
+    case 'verify_result':
+      detail = `${event.achieved ? 'achieved' : 'NOT achieved'} confidence=${event.confidence ?? 'n/a'} :: ${event.evidence || ''}`;
+      break;
+    case 'verify_continue':
+      detail = `continuing (attempt ${event.attempt}/${event.retries})`;
+      break;
+    case 'verify_error':
+      detail = `error=${event.error}`;
+      break;
+    case 'action_answer':
+      detail = JSON.stringify(event.data ?? null).slice(0, 200);
+      break;
+    case 'ask_user_answered':
+      detail = `${event.answer} (${event.source})`;
+      break;
+    case 'stuck_rejected':
+      detail = `rejected ${event.signature}`;
       break;
     case 'critic_error':
       detail = `error=${event.error}`;
       break;
+    case 'context_append':
+      detail = `context="${event.context || ''}"`;
+      break;
+    case 'context_override_update':
+      detail = event.contextNotes ? `context active="${event.contextNotes}" source=${event.source || ''}` : `context cleared source=${event.source || ''}`;
+      break;
+    case 'critic_invalid_decision':
+    case 'bootstrap_invalid_decision': {
+      const errors = Array.isArray(event.validation?.errors) ? event.validation.errors : [];
+      detail = `invalid decision (${event.validation?.stage || 'schema'}) attempts=${event.validation?.attempts ?? 'n/a'}`;
+      if (errors.length) detail += ` errors=[${errors.slice(0, 3).map((error) => `${error.path} ${error.message}`).join('; ')}]`;
+      break;
+    }
     case 'critic_no_action':
       detail = 'no action returned (resend)';
       break;
     case 'step3_hittables':
-      detail = `hittables=${event.count || 0}`;
+      detail = `hittables=${event.count || 0}${event.collector ? ` collector=${event.collector}` : ''}`;
+      break;
+    case 'step3_mark_match':
+      detail = `mark ${event.mark} -> "${event.target?.name || ''}"`;
+      break;
+    case 'step3_mark_missing':
+      detail = `mark ${event.mark} not found, falling back to hints`;
+      break;
+    case 'step3_scored':
+      detail = `best=${event.top?.[0] ? `"${event.top[0].name}" score=${event.top[0].score}` : 'none'} threshold=${event.threshold}`;
+      break;
+    case 'step3_fuzzy_match':
+      detail = `fuzzy match "${event.target?.name || ''}" score=${event.score}`;
       break;
     case 'step3_radius':
       detail = `candidates=${event.candidateCount || 0}`;
@@ -321,6 +445,42 @@ function formatWorkflowLine(line) {
     case 'action_click':
       detail = `click target="${event.target?.name || ''}" source=${event.source || ''}`;
       break;
+    case 'action_hover':
+    case 'action_double_click':
+    case 'action_right_click':
+      detail = `${event.stage.slice('action_'.length)} target="${event.target?.name || ''}" source=${event.source || ''}`;
+      break;
+    case 'action_select_option': {
+      const option = event.option || {};
+      detail = `select "${option.label ?? option.value ?? option.index ?? ''}" in "${event.target?.name || ''}"`;
+      break;
+    }
+    case 'action_press_key':
+      detail = `press ${event.key}${event.repeat > 1 ? ` x${event.repeat}` : ''}`;
+      break;
+    case 'action_drag':
+      detail = `drag target="${event.target?.name || ''}" to=${Array.isArray(event.to) ? event.to.map((value) => Math.round(value)).join(',') : 'n/a'}`;
+      break;
+    case 'action_wait':
+      detail = `wait${event.wait?.ms ? ` ${event.wait.ms}ms` : ''}${event.wait?.until ? ` until=${event.wait.until}` : ''}${event.wait?.text ? ` text="${event.wait.text}"` : ''} met=${event.met} waited=${event.waitedMs ?? 'n/a'}ms`;
+      break;
+    case 'page_stability':
+      detail = `${event.stable ? 'stable' : `unstable (${(event.blockers || []).join(', ')})`} after ${event.waitedMs}ms`;
+      break;
+    case 'action_switch_tab':
+    case 'action_new_tab':
+    case 'action_close_tab':
+      detail = `${event.stage.slice('action_'.length)}${event.tab ? ` ${event.tab}` : ''}${event.url ? ` ${event.url}` : ''} active=${event.active || 'n/a'}${event.ok === false ? ` failed: ${event.error}` : ''}`;
+      break;
+    case 'tab_opened':
+      detail = `tab ${event.tab} opened${event.opener ? ` by ${event.opener}` : ''}${event.url ? ` ${event.url}` : ''}`;
+      break;
+    case 'tab_closed':
+      detail = `tab ${event.tab} closed`;
+      break;
+    case 'tab_active':
+      detail = `tab ${event.tab} active (${event.reason}) ${event.url || ''}`;
+      break;
     case 'action_stop':
       detail = 'run stopped';
       break;
@@ -370,18 +530,74 @@ async function handleStart(argv, { suppressExit = false, pauseHooks = null } = {
     contextNotes = loadFileSafe(options.contextFile);
   }
 
+  let maxDurationMs;
+  if (options.maxDuration !== undefined) {
+    maxDurationMs = parseDuration(options.maxDuration);
+    if (!maxDurationMs) {
+      console.error(`Invalid --max-duration "${options.maxDuration}". Use e.g. 90s, 30m or 2h.`);
+      process.exit(1);
+    }
+  }
+
+  let answers;
+  const answersFile = options.answersFile || process.env.NEROVA_ANSWERS_FILE || null;
+  if (answersFile) {
+    try {
+      answers = JSON.parse(loadFileSafe(answersFile));
+    } catch (err) {
+      console.error(`Invalid --answers-file ${answersFile}: ${err?.message || err}`);
+      process.exit(1);
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      console.error(`Invalid --answers-file ${answersFile}: expected a JSON object of question -> answer.`);
+      process.exit(1);
+    }
+  }
+
+  let outputSchema;
+  if (options.outputSchema) {
+    const raw = options.outputSchema.trim().startsWith('{')
+      ? options.outputSchema
+      : loadFileSafe(options.outputSchema);
+    try {
+      outputSchema = JSON.parse(raw);
+    } catch (err) {
+      console.error(`Invalid --output-schema: ${err?.message || err}`);
+      process.exit(1);
+    }
+    if (!outputSchema || typeof outputSchema !== 'object' || Array.isArray(outputSchema)) {
+      console.error('Invalid --output-schema: expected a JSON Schema object.');
+      process.exit(1);
+    }
+  }
+
   const teardown = setupPauseControls(pauseHooks || {});
   try {
-    await runAgent({
+    const outcome = await runAgent({
       prompt,
       contextNotes,
       brainUrl: options.brainUrl,
+      brainToken: options.brainToken || process.env.NEROVA_BRAIN_TOKEN || null,
       criticKey: options.criticKey || process.env.NEROVA_AGENT_CRITIC_KEY || null,
       assistantKey: options.assistantKey || process.env.NEROVA_AGENT_ASSISTANT_KEY || null,
       assistantId: options.assistantId || process.env.NEROVA_AGENT_ASSISTANT_ID || null,
       maxSteps: Number.isFinite(options.maxSteps) && options.maxSteps > 0 ? options.maxSteps : undefined,
+      maxDurationMs,
+      collector: options.collector || undefined,
+      marks: options.marks || undefined,
+      maxCostUsd: Number.isFinite(options.maxCost) && options.maxCost > 0 ? options.maxCost : undefined,
+      maxTokens: Number.isFinite(options.maxTokens) && options.maxTokens > 0 ? options.maxTokens : undefined,
+      stuckWindow: Number.isInteger(options.stuckWindow) && options.stuckWindow >= 0 ? options.stuckWindow : undefined,
+      answers,
+      outputSchema,
+      verify: options.verify === false ? false : undefined,
+      successCriteria: options.successCriteria || null,
+      verifyRetries: Number.isInteger(options.verifyRetries) && options.verifyRetries > 0 ? options.verifyRetries : undefined,
       bootUrl: options.bootUrl || process.env.NEROVA_BOOT_URL || null
     });
+    if (outcome?.result !== null && outcome?.result !== undefined) {
+      console.log(JSON.stringify(outcome.result, null, 2));
+    }
   } catch (err) {
     if (err?.message === 'run_aborted') {
       console.log('[nerovaagent] run aborted by user.');
@@ -0,0 +1,23 @@
+import { normalizeText } from './matching.js';
+
+export function findAnswer(answers, question) {
+  if (!answers || typeof answers !== 'object') return null;
+  const asked = normalizeText(question);
+  let partial = null;
+  for (const [key, value] of Object.entries(answers)) {
+    const needle = normalizeText(key);
+    if (!needle || needle === '*' || typeof value !== 'string') continue;
+    if (needle === asked) return value;
+    if (partial === null && asked.includes(needle)) partial = value;
+  }
+  if (partial !== null) return partial;
+  return typeof answers['*'] === 'string' ? answers['*'] : null;
+}
+
+export function resolveChoice(answer, choices = []) {
+  const text = String(answer || '').trim();
+  const index = Number(text);
+  if (Number.isInteger(index) && index >= 1 && index <= choices.length) return choices[index - 1];
+  const match = choices.find((choice) => normalizeText(choice) === normalizeText(text));
+  return match || text;
+}
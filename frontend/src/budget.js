@@ -0,0 +1,52 @@
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i.exec(String(value).trim());
+  if (!match) return null;
+  const ms = Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+  return ms > 0 ? ms : null;
+}
+
+export function positiveNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+export function emptyUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+export function addUsage(total, usage) {
+  const base = total || emptyUsage();
+  if (!usage || typeof usage !== 'object') return base;
+  return {
+    calls: base.calls + (Number(usage.calls) || 0),
+    inputTokens: base.inputTokens + (Number(usage.inputTokens) || 0),
+    outputTokens: base.outputTokens + (Number(usage.outputTokens) || 0),
+    totalTokens: base.totalTokens + (Number(usage.totalTokens) || 0),
+    costUsd: base.costUsd + (Number(usage.costUsd) || 0)
+  };
+}
+
+export function createBudget({ maxDurationMs, maxCostUsd, maxTokens } = {}) {
+  return {
+    maxDurationMs: positiveNumber(maxDurationMs),
+    maxCostUsd: positiveNumber(maxCostUsd),
+    maxTokens: positiveNumber(maxTokens)
+  };
+}
+
+export function exceededBudget(budget, { elapsedMs = 0, costUsd = 0, totalTokens = 0 } = {}) {
+  if (budget.maxDurationMs && elapsedMs >= budget.maxDurationMs) {
+    return { limit: 'duration', value: elapsedMs, max: budget.maxDurationMs };
+  }
+  if (budget.maxCostUsd && costUsd >= budget.maxCostUsd) {
+    return { limit: 'cost', value: costUsd, max: budget.maxCostUsd };
+  }
+  if (budget.maxTokens && totalTokens >= budget.maxTokens) {
+    return { limit: 'tokens', value: totalTokens, max: budget.maxTokens };
+  }
+  return null;
+}
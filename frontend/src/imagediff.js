@@ -0,0 +1,109 @@
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+const GRID = 32;
+const CELL_THRESHOLD = 8;
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function readPng(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return null;
+  }
+  let offset = 8;
+  let header = null;
+  const chunks = [];
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !CHANNELS[header.colorType]) {
+    return null;
+  }
+  return { ...header, channels: CHANNELS[header.colorType], data: zlib.inflateSync(Buffer.concat(chunks)) };
+}
+
+export function luminanceGrid(buffer, size = GRID) {
+  let png;
+  try {
+    png = readPng(buffer);
+  } catch {
+    return null;
+  }
+  if (!png) return null;
+  const { width, height, channels, data } = png;
+  const stride = width * channels;
+  const sums = new Float64Array(size * size);
+  const counts = new Uint32Array(size * size);
+  let prev = Buffer.alloc(stride);
+  let row = Buffer.alloc(stride);
+  for (let y = 0; y < height; y += 1) {
+    const start = y * (stride + 1);
+    const filter = data[start];
+    const line = data.subarray(start + 1, start + 1 + stride);
+    for (let x = 0; x < stride; x += 1) {
+      const left = x >= channels ? row[x - channels] : 0;
+      const up = prev[x];
+      const upLeft = x >= channels ? prev[x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      row[x] = value & 0xff;
+    }
+    const cy = Math.min(size - 1, Math.floor((y * size) / height));
+    for (let x = 0; x < width; x += 1) {
+      const base = x * channels;
+      const luma = channels >= 3
+        ? 0.299 * row[base] + 0.587 * row[base + 1] + 0.114 * row[base + 2]
+        : row[base];
+      const index = cy * size + Math.min(size - 1, Math.floor((x * size) / width));
+      sums[index] += luma;
+      counts[index] += 1;
+    }
+    [prev, row] = [row, prev];
+  }
+  const grid = new Uint8Array(size * size);
+  for (let i = 0; i < grid.length; i += 1) {
+    grid[i] = counts[i] ? Math.round(sums[i] / counts[i]) : 0;
+  }
+  return grid;
+}
+
+export function gridDifference(a, b) {
+  if (!a || !b || a.length !== b.length) return null;
+  let changed = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (Math.abs(a[i] - b[i]) >= CELL_THRESHOLD) changed += 1;
+  }
+  return changed / a.length;
+}
+
+export default {
+  luminanceGrid,
+  gridDifference
+};
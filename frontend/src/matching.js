@@ -0,0 +1,126 @@
+export const DEFAULT_CLICK_RADIUS = Number(process.env.AGENT_CLICK_RADIUS || 120);
+export const MATCH_THRESHOLD = (() => {
+  const parsed = Number(process.env.NEROVA_MATCH_THRESHOLD);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= 1 ? parsed : 0.75;
+})();
+export const MATCH_MARGIN = (() => {
+  const parsed = Number(process.env.NEROVA_MATCH_MARGIN);
+  return Number.isFinite(parsed) && parsed >= 0 && parsed <= 1 ? parsed : 0.05;
+})();
+const MIN_TEXT_SCORE = 0.5;
+const MATCH_WEIGHTS = { text: 0.6, role: 0.15, distance: 0.15, hit: 0.1 };
+const HIT_SCORES = { hittable: 1, occluded: 0.3 };
+const SAME_TARGET_PX = 4;
+
+export function normalizeText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function tokenize(value) {
+  return normalizeText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function editSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const left = a.slice(0, 80);
+  const right = b.slice(0, 80);
+  let prev = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return 1 - prev[right.length] / Math.max(left.length, right.length);
+}
+
+function textScore(name, hints) {
+  const label = normalizeText(name);
+  if (!label) return 0;
+  const labelTokens = new Set(tokenize(label));
+  let best = 0;
+  const consider = (hint, exactWeight) => {
+    const wanted = normalizeText(hint);
+    if (!wanted) return;
+    if (label === wanted) {
+      best = Math.max(best, exactWeight);
+      return;
+    }
+    const shorter = Math.min(label.length, wanted.length);
+    const longer = Math.max(label.length, wanted.length);
+    if (shorter >= 3 && (label.includes(wanted) || wanted.includes(label))) {
+      best = Math.max(best, 0.6 + 0.3 * (shorter / longer));
+    }
+    const wantedTokens = tokenize(wanted);
+    if (wantedTokens.length) {
+      const shared = wantedTokens.filter((token) => labelTokens.has(token)).length;
+      const union = new Set([...labelTokens, ...wantedTokens]).size;
+      best = Math.max(best, 0.8 * (shared / union));
+    }
+    best = Math.max(best, 0.8 * editSimilarity(label, wanted));
+  };
+  for (const hint of Array.isArray(hints.text_exact) ? hints.text_exact : []) consider(hint, 1);
+  for (const hint of Array.isArray(hints.text) ? hints.text : []) consider(hint, 0.95);
+  return best;
+}
+
+export function scoreCandidates(elements, { hints = {}, center = null, radius = DEFAULT_CLICK_RADIUS, roles = new Set() } = {}) {
+  const reach = Math.max(1, (Number.isFinite(radius) ? radius : DEFAULT_CLICK_RADIUS) * 2);
+  return (elements || [])
+    .map((element) => {
+      const text = textScore(element?.name, hints);
+      const role = roles.size ? (roles.has(element?.role) ? 1 : 0) : 0.5;
+      const distance = center && Array.isArray(element?.center) && element.center.length === 2
+        ? Math.max(0, 1 - Math.hypot(element.center[0] - center[0], element.center[1] - center[1]) / reach)
+        : 0.5;
+      const hit = HIT_SCORES[element?.hit_state] || 0;
+      const score = MATCH_WEIGHTS.text * text
+        + MATCH_WEIGHTS.role * role
+        + MATCH_WEIGHTS.distance * distance
+        + MATCH_WEIGHTS.hit * hit;
+      return {
+        ...element,
+        score: Math.round(score * 1000) / 1000,
+        score_parts: {
+          text: Math.round(text * 1000) / 1000,
+          role,
+          distance: Math.round(distance * 1000) / 1000,
+          hit
+        }
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+function sameTarget(a, b) {
+  if (a.id && b.id && a.id === b.id) return true;
+  if (!Array.isArray(a.center) || !Array.isArray(b.center)) return false;
+  return Math.hypot(a.center[0] - b.center[0], a.center[1] - b.center[1]) <= SAME_TARGET_PX
+    && normalizeText(a.name) === normalizeText(b.name);
+}
+
+export function pickFuzzyMatch(scored, { threshold = MATCH_THRESHOLD, margin = MATCH_MARGIN } = {}) {
+  const best = scored?.[0] || null;
+  if (!best || best.score < threshold || best.score_parts.text < MIN_TEXT_SCORE) {
+    return { match: null, reason: 'below_threshold' };
+  }
+  const runnerUp = scored.slice(1).find((item) => !sameTarget(best, item)) || null;
+  if (runnerUp && best.score - runnerUp.score < margin) {
+    return { match: null, reason: 'ambiguous', runnerUp };
+  }
+  if (best.hit_state !== 'hittable') {
+    return { match: null, reason: 'not_hittable' };
+  }
+  return { match: best, reason: null };
+}
+
+export default {
+  DEFAULT_CLICK_RADIUS,
+  MATCH_THRESHOLD,
+  MATCH_MARGIN,
+  normalizeText,
+  scoreCandidates,
+  pickFuzzyMatch
+};
@@ -2,19 +2,54 @@ import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
 import { chromium } from '@playwright/test';
+import { luminanceGrid } from './imagediff.js';
+import { parseDuration, positiveNumber, emptyUsage, addUsage, createBudget, exceededBudget } from './budget.js';
+import { STUCK_WINDOW, describeEffect, createStuckDetector } from './stuck.js';
+import { findAnswer, resolveChoice } from './answers.js';
+import { DEFAULT_CLICK_RADIUS, MATCH_THRESHOLD, MATCH_MARGIN, normalizeText, scoreCandidates, pickFuzzyMatch } from './matching.js';
+
+export { parseDuration };
 
 const USER_DATA_ROOT = path.join(os.homedir(), '.nerovaagent');
 const BROWSER_PROFILE = path.join(USER_DATA_ROOT, 'browser');
 const DEFAULT_BRAIN_URL = process.env.NEROVA_BRAIN_URL || 'http://127.0.0.1:4000';
+const DEFAULT_BRAIN_TOKEN = process.env.NEROVA_BRAIN_TOKEN || null;
 const MAX_STEPS = (() => {
   const raw = process.env.NEROVA_MAX_STEPS;
   if (raw === undefined) return Infinity;
   const parsed = Number(raw);
   return Number.isFinite(parsed) && parsed > 0 ? parsed : Infinity;
 })();
+const MAX_DURATION_MS = parseDuration(process.env.NEROVA_MAX_DURATION);
+const MAX_COST_USD = positiveNumber(process.env.NEROVA_MAX_COST);
+const MAX_TOKENS = positiveNumber(process.env.NEROVA_MAX_TOKENS);
+const STABILITY_ENABLED = process.env.NEROVA_STABILITY !== '0';
+const STABLE_QUIET_MS = positiveNumber(process.env.NEROVA_STABLE_QUIET_MS) || 500;
+const STABLE_TIMEOUT_MS = positiveNumber(process.env.NEROVA_STABLE_TIMEOUT_MS) || 8000;
+const STABLE_POLL_MS = 100;
+const LONG_REQUEST_MS = 10000;
+const WAIT_MAX_MS = 15000;
+const COLLECTORS = ['dom', 'a11y'];
+const DEFAULT_COLLECTOR = COLLECTORS.includes(process.env.NEROVA_COLLECTOR) ? process.env.NEROVA_COLLECTOR : 'dom';
+const MARKS_ENABLED = process.env.NEROVA_MARKS === '1';
+const MARKS_MAX = positiveNumber(process.env.NEROVA_MARKS_MAX) || 80;
+const MARKS_OVERLAY_ID = '__nerova_marks__';
+const INVALID_DECISION_LIMIT = (() => {
+  const parsed = Number(process.env.NEROVA_MAX_INVALID_DECISIONS);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 3;
+})();
+const VERIFY_ENABLED = process.env.NEROVA_VERIFY !== '0';
 const MODE = 'browser';
-const DEFAULT_CLICK_RADIUS = Number(process.env.AGENT_CLICK_RADIUS || 120);
 const RUNS_ROOT = path.join(USER_DATA_ROOT, 'runs');
+const BRAIN_RETRIES = (() => {
+  const parsed = Number(process.env.NEROVA_BRAIN_RETRIES);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 3;
+})();
+const BRAIN_RETRY_BASE_MS = 1000;
+const BRAIN_RETRY_MAX_MS = 30000;
+const RETRYABLE_BRAIN_STATUS = new Set([429, 502, 503, 504]);
+const UPSTREAM_RETRIED_CODES = new Set(['upstream_rate_limited', 'upstream_timeout', 'upstream_unavailable', 'upstream_unreachable']);
+const BRAIN_NOT_REACHED_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
 
 let sharedContext = null;
 let sharedPage = null;
@@ -27,6 +62,7 @@ let abortRequested = false;
 let pauseGeneration = 0;
 let pauseHandledGeneration = 0;
 const pausedContextQueue = [];
+const pauseListeners = new Set();
 const activeAbortControllers = new Set();
 const pendingHistoryLines = [];
 let suppressHistoryOutput = false;
@@ -129,6 +165,22 @@ export function supplyContext(text) {
   suppressHistoryOutput = false;
 }
 
+export function onPauseRequest(listener) {
+  pauseListeners.add(listener);
+  return () => pauseListeners.delete(listener);
+}
+
+function requestHumanContext(message, { prompt = null } = {}) {
+  if (!pauseListeners.size) return false;
+  requestPause();
+  for (const listener of pauseListeners) {
+    try {
+      listener({ source: 'runner', message, prompt });
+    } catch {}
+  }
+  return true;
+}
+
 function consumeContext() {
   return pausedContextQueue.shift() || null;
 }
@@ -178,6 +230,13 @@ async function startRunSession(meta) {
     startedAt: startedAt.toISOString(),
     meta,
     currentStep: 0,
+    usage: emptyUsage(),
+    usageByKind: {},
+    recordUsage(kind, usage) {
+      if (!usage) return;
+      this.usage = addUsage(this.usage, usage);
+      this.usageByKind[kind] = addUsage(this.usageByKind[kind], usage);
+    },
     async log(message) {
       const line = `[${new Date().toISOString()}] ${message}`;
       await fs.appendFile(logPath, `${line}\n`);
@@ -207,6 +266,7 @@ async function startRunSession(meta) {
       await this.writeJson('summary', {
         status,
         finishedAt: new Date().toISOString(),
+        usage: { ...this.usage, byKind: this.usageByKind },
         ...extra
       });
     },
@@ -321,8 +381,109 @@ async function ensureActivePage(context) {
   }
 }
 
-function normalizeText(value) {
-  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+const POPUP_FOLLOW_MS = 800;
+
+function createTabRegistry(context, { onEvent = null } = {}) {
+  const tabs = new Map();
+  const openers = new WeakMap();
+  const waiters = new Set();
+  let nextId = 1;
+  let opened = 0;
+  let disposed = false;
+  const emit = (event) => {
+    if (!disposed && typeof onEvent === 'function') {
+      Promise.resolve(onEvent(event)).catch(() => {});
+    }
+  };
+  const register = (page, opener = null) => {
+    if (tabs.has(page)) return tabs.get(page);
+    const entry = { id: `t${nextId}`, page, openerId: opener ? tabs.get(opener)?.id || null : null, seq: opened };
+    nextId += 1;
+    tabs.set(page, entry);
+    openers.set(page, entry.openerId);
+    trackNetwork(page);
+    page.on('close', () => {
+      tabs.delete(page);
+      emit({ stage: 'tab_closed', tab: entry.id });
+    });
+    return entry;
+  };
+  const onPage = async (page) => {
+    opened += 1;
+    const opener = await page.opener().catch(() => null);
+    const entry = register(page, opener);
+    entry.seq = opened;
+    emit({ stage: 'tab_opened', tab: entry.id, opener: entry.openerId, url: page.url() });
+    for (const waiter of waiters) waiter(entry);
+  };
+  for (const page of context.pages()) register(page);
+  context.on('page', onPage);
+
+  return {
+    get openedCount() {
+      return opened;
+    },
+    idFor(page) {
+      return tabs.get(page)?.id || null;
+    },
+    pageFor(id) {
+      for (const entry of tabs.values()) {
+        if (entry.id === id && !entry.page.isClosed()) return entry.page;
+      }
+      return null;
+    },
+    register,
+    async list(activePage = null) {
+      const items = [];
+      for (const entry of tabs.values()) {
+        if (entry.page.isClosed()) continue;
+        const title = await entry.page.title().catch(() => '');
+        items.push({
+          id: entry.id,
+          title,
+          url: entry.page.url(),
+          active: entry.page === activePage
+        });
+      }
+      return items;
+    },
+    waitForOpened(sinceCount, timeoutMs = POPUP_FOLLOW_MS) {
+      const latest = () => {
+        let pick = null;
+        for (const entry of tabs.values()) {
+          if (entry.seq > sinceCount && !entry.page.isClosed() && (!pick || entry.seq > pick.seq)) pick = entry;
+        }
+        return pick;
+      };
+      const existing = latest();
+      if (existing) return Promise.resolve(existing.page);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          waiters.delete(waiter);
+          resolve(latest()?.page || null);
+        }, timeoutMs);
+        const waiter = (entry) => {
+          if (entry.seq <= sinceCount) return;
+          clearTimeout(timer);
+          waiters.delete(waiter);
+          resolve(entry.page);
+        };
+        waiters.add(waiter);
+      });
+    },
+    fallback(closedPage = null) {
+      const openerId = closedPage ? openers.get(closedPage) : null;
+      const openerPage = openerId ? this.pageFor(openerId) : null;
+      if (openerPage) return openerPage;
+      const open = Array.from(tabs.values()).filter((entry) => !entry.page.isClosed() && entry.page !== closedPage);
+      return open.length ? open[open.length - 1].page : null;
+    },
+    dispose() {
+      disposed = true;
+      context.off('page', onPage);
+      waiters.clear();
+    }
+  };
 }
 
 function dedupeElements(elements = []) {
@@ -344,151 +505,696 @@ function dedupeElements(elements = []) {
   return Array.from(map.values());
 }
 
+function collectFrameElements({ max, minSize, idPrefix = '' }) {
+  const clamp = (val) => (Number.isFinite(val) ? Math.round(val) : 0);
+  const collapseWhitespace = (text) => (text || '').toString().replace(/\s+/g, ' ').trim();
+  const isVisible = (el) => {
+    try {
+      const style = getComputedStyle(el);
+      if (style.visibility === 'hidden' || style.display === 'none' || Number(style.opacity || '1') === 0) return false;
+      const rect = el.getBoundingClientRect();
+      if (!rect || rect.width <= 0 || rect.height <= 0) return false;
+      if (rect.bottom <= 0 || rect.right <= 0) return false;
+      if (rect.left >= (window.innerWidth || 0) || rect.top >= (window.innerHeight || 0)) return false;
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const computeRole = (el) => {
+    try {
+      const aria = (el.getAttribute('role') || '').trim().toLowerCase();
+      if (aria) return aria;
+      const tag = (el.tagName || '').toLowerCase();
+      if (tag === 'a') return el.getAttribute('href') ? 'link' : 'generic';
+      if (tag === 'button') return 'button';
+      if (tag === 'input') {
+        const type = (el.getAttribute('type') || '').toLowerCase();
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox') return 'checkbox';
+        if (type === 'radio') return 'radio';
+        if (type === 'range') return 'slider';
+        return 'textbox';
+      }
+      if (tag === 'select') return 'combobox';
+      if (tag === 'textarea') return 'textbox';
+      if (tag === 'summary') return 'button';
+      if (tag === 'option') return 'option';
+      return 'generic';
+    } catch {
+      return 'generic';
+    }
+  };
+  const computeEnabled = (el) => {
+    try {
+      if (el.disabled) return false;
+      const aria = (el.getAttribute('aria-disabled') || '').trim().toLowerCase();
+      if (aria === 'true') return false;
+      return true;
+    } catch {
+      return true;
+    }
+  };
+  const bestSelector = (el) => {
+    try {
+      if (el.id) return `#${el.id}`;
+      const dt = el.getAttribute('data-testid') || el.getAttribute('data-test') || el.getAttribute('data-qa');
+      if (dt) return `[data-testid="${dt.replace(/"/g, '\\"')}"]`;
+      const aria = el.getAttribute('aria-label');
+      if (aria) return `[aria-label="${aria.replace(/"/g, '\\"')}"]`;
+      const parts = [];
+      let cur = el;
+      for (let depth = 0; depth < 3 && cur; depth += 1) {
+        const tag = (cur.tagName || 'div').toLowerCase();
+        const parent = cur.parentElement;
+        if (!parent) {
+          parts.unshift(tag);
+          break;
+        }
+        const siblings = Array.from(parent.children).filter((c) => c.tagName === cur.tagName);
+        const idx = siblings.indexOf(cur) + 1;
+        parts.unshift(`${tag}:nth-of-type(${idx})`);
+        cur = parent;
+      }
+      return parts.join('>') || (el.tagName || '').toLowerCase();
+    } catch {
+      return (el.tagName || '').toLowerCase();
+    }
+  };
+
+  const deepElementFromPoint = (x, y) => {
+    let hit = document.elementFromPoint(x, y);
+    while (hit && hit.shadowRoot) {
+      const inner = hit.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === hit) break;
+      hit = inner;
+    }
+    return hit;
+  };
+  const composedContains = (parent, node) => {
+    let cur = node;
+    while (cur) {
+      if (cur === parent) return true;
+      cur = cur.parentNode || cur.host || null;
+    }
+    return false;
+  };
+  const collectNodes = (root, out) => {
+    for (const el of root.querySelectorAll('*')) {
+      out.push(el);
+      if (el.shadowRoot) collectNodes(el.shadowRoot, out);
+    }
+    return out;
+  };
+
+  const viewW = Math.max(1, window.innerWidth || 0);
+  const viewH = Math.max(1, window.innerHeight || 0);
+  const maxArea = viewW * viewH * 1.5;
+  const nodes = collectNodes(document, []);
+  const items = [];
+  for (const el of nodes) {
+    try {
+      const tagName = (el.tagName || '').toLowerCase();
+      if (tagName === 'html' || tagName === 'head' || tagName === 'body') continue;
+      if (!isVisible(el)) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width < minSize && rect.height < minSize) continue;
+      if ((rect.width * rect.height) > maxArea) continue;
+      if (rect.width >= viewW * 0.95 && rect.height >= viewH * 0.95) continue;
+      const center = [clamp(rect.left + rect.width / 2), clamp(rect.top + rect.height / 2)];
+      const viewport = {
+        left: rect.left,
+        top: rect.top,
+        right: rect.left + rect.width,
+        bottom: rect.top + rect.height
+      };
+      const inViewport = viewport.right > 0 && viewport.bottom > 0 && viewport.left < (window.innerWidth || 0) && viewport.top < (window.innerHeight || 0);
+      const elAtPoint = deepElementFromPoint(center[0], center[1]);
+      const occluded = elAtPoint && elAtPoint !== el && !composedContains(el, elAtPoint);
+      const hitState = inViewport ? (occluded ? 'occluded' : 'hittable') : 'offscreen_page';
+      const aria = el.getAttribute('aria-label');
+      const placeholder = el.getAttribute('placeholder');
+      const value = (el.value || '').toString();
+      const name = collapseWhitespace(((aria || '') || el.innerText || el.textContent || placeholder || value || '').slice(0, 400));
+      const role = computeRole(el);
+      const enabled = computeEnabled(el);
+      const href = el.tagName && el.tagName.toLowerCase() === 'a' ? el.href || null : null;
+      const selector = bestSelector(el);
+      if (selector) {
+        const lowerSelector = selector.toLowerCase();
+        if (lowerSelector === 'html' || lowerSelector === 'head' || lowerSelector === 'body') continue;
+        if (/html\s*>/.test(lowerSelector) || /body\s*>/.test(lowerSelector)) continue;
+      }
+      if (role === 'generic' && !href && !enabled) continue;
+      if (!name && role === 'generic') continue;
+      if (role === 'generic' && rect.width >= viewW * 0.8 && rect.height >= viewH * 0.8) continue;
+      items.push({
+        id: `${role}-${idPrefix}${items.length}`,
+        name,
+        role,
+        enabled,
+        hit_state: hitState,
+        center,
+        rect: [clamp(rect.left), clamp(rect.top), clamp(rect.width), clamp(rect.height)],
+        selector,
+        href,
+        className: (el.className && el.className.toString && el.className.toString()) || '',
+        shadow: el.getRootNode() !== document
+      });
+    } catch {}
+    if (items.length >= max) break;
+  }
+  return items;
+}
+
+async function frameOffset(frame) {
+  const handle = await frame.frameElement();
+  try {
+    const box = await handle.boundingBox();
+    if (!box) return null;
+    const inset = await handle.evaluate((el) => {
+      const style = getComputedStyle(el);
+      return [
+        el.clientLeft + (parseFloat(style.paddingLeft) || 0),
+        el.clientTop + (parseFloat(style.paddingTop) || 0)
+      ];
+    });
+    return { x: box.x + inset[0], y: box.y + inset[1], width: box.width, height: box.height };
+  } finally {
+    await handle.dispose().catch(() => {});
+  }
+}
+
+async function frameIsUnobstructed(page, frame, points) {
+  let top = frame;
+  while (top.parentFrame() && top.parentFrame() !== page.mainFrame()) top = top.parentFrame();
+  const handle = await top.frameElement();
+  try {
+    return await handle.evaluate((iframe, pts) => pts.map(([x, y]) => document.elementFromPoint(x, y) === iframe), points);
+  } finally {
+    await handle.dispose().catch(() => {});
+  }
+}
+
+const A11Y_SKIP_ROLES = new Set([
+  'none',
+  'presentation',
+  'generic',
+  'StaticText',
+  'InlineTextBox',
+  'LineBreak',
+  'RootWebArea',
+  'WebArea',
+  'Iframe',
+  'IframePresentational'
+]);
+const A11Y_UNNAMED_ROLES = new Set(['textbox', 'searchbox', 'combobox', 'checkbox', 'radio', 'slider', 'spinbutton', 'switch']);
+
+function a11yGeometries(minSize, ...nodes) {
+  const viewW = window.innerWidth || 0;
+  const viewH = window.innerHeight || 0;
+  return nodes.map((node) => {
+    try {
+      const el = node && node.nodeType === 1 ? node : node?.parentElement;
+      if (!el || typeof el.getBoundingClientRect !== 'function') return null;
+      const rect = el.getBoundingClientRect();
+      if (!rect || rect.width <= 0 || rect.height <= 0) return null;
+      if (rect.width < minSize && rect.height < minSize) return null;
+      const style = getComputedStyle(el);
+      if (style.visibility === 'hidden' || style.display === 'none') return null;
+      if (rect.width >= viewW * 0.95 && rect.height >= viewH * 0.95) return null;
+      const center = [Math.round(rect.left + rect.width / 2), Math.round(rect.top + rect.height / 2)];
+      const inViewport = rect.right > 0 && rect.bottom > 0 && rect.left < viewW && rect.top < viewH;
+      let hit = inViewport ? document.elementFromPoint(center[0], center[1]) : null;
+      while (hit && hit.shadowRoot) {
+        const inner = hit.shadowRoot.elementFromPoint(center[0], center[1]);
+        if (!inner || inner === hit) break;
+        hit = inner;
+      }
+      let covered = Boolean(hit);
+      for (let cur = hit; cur; cur = cur.parentNode || cur.host || null) {
+        if (cur === el) {
+          covered = false;
+          break;
+        }
+      }
+      const testId = el.getAttribute('data-testid') || el.getAttribute('data-test') || el.getAttribute('data-qa');
+      return {
+        center,
+        rect: [Math.round(rect.left), Math.round(rect.top), Math.round(rect.width), Math.round(rect.height)],
+        hit_state: inViewport ? (covered ? 'occluded' : 'hittable') : 'offscreen_page',
+        selector: el.id ? `#${el.id}` : testId ? `[data-testid="${testId}"]` : (el.tagName || '').toLowerCase(),
+        href: el.tagName === 'A' ? el.href || null : null,
+        className: (el.className && el.className.toString && el.className.toString()) || '',
+        shadow: el.getRootNode() !== document
+      };
+    } catch {
+      return null;
+    }
+  });
+}
+
+async function a11yItems(session, { frameId = null, max, minSize, idPrefix = '' }) {
+  const { nodes = [] } = await session.send('Accessibility.getFullAXTree', frameId ? { frameId } : {});
+  const seen = new Set();
+  const candidates = [];
+  for (const node of nodes) {
+    if (candidates.length >= max * 2) break;
+    if (node.ignored || !node.backendDOMNodeId || seen.has(node.backendDOMNodeId)) continue;
+    const role = String(node.role?.value || '').trim();
+    if (!role || A11Y_SKIP_ROLES.has(role)) continue;
+    const name = String(node.name?.value || '').replace(/\s+/g, ' ').trim().slice(0, 400);
+    if (!name && !A11Y_UNNAMED_ROLES.has(role)) continue;
+    seen.add(node.backendDOMNodeId);
+    const disabled = (node.properties || []).some((prop) => prop?.name === 'disabled' && prop.value?.value === true);
+    candidates.push({ backendNodeId: node.backendDOMNodeId, role, name, enabled: !disabled });
+  }
+  if (!candidates.length) return [];
+  const objectGroup = `nerova-a11y-${Math.random().toString(36).slice(2, 8)}`;
+  try {
+    const objectIds = await Promise.all(candidates.map((candidate) => session
+      .send('DOM.resolveNode', { backendNodeId: candidate.backendNodeId, objectGroup })
+      .then((resolved) => resolved?.object?.objectId || null)
+      .catch(() => null)));
+    const present = candidates
+      .map((candidate, index) => ({ ...candidate, objectId: objectIds[index] }))
+      .filter((candidate) => candidate.objectId);
+    if (!present.length) return [];
+    const { result } = await session.send('Runtime.callFunctionOn', {
+      objectId: present[0].objectId,
+      functionDeclaration: a11yGeometries.toString(),
+      arguments: [{ value: minSize }, ...present.map((candidate) => ({ objectId: candidate.objectId }))],
+      returnByValue: true
+    });
+    const geometries = Array.isArray(result?.value) ? result.value : [];
+    const items = [];
+    present.forEach((candidate, index) => {
+      const geometry = geometries[index];
+      if (!geometry || items.length >= max) return;
+      items.push({
+        id: `${candidate.role}-a${idPrefix}${items.length}`,
+        name: candidate.name,
+        role: candidate.role,
+        enabled: candidate.enabled,
+        ...geometry
+      });
+    });
+    return items;
+  } finally {
+    session.send('Runtime.releaseObjectGroup', { objectGroup }).catch(() => {});
+  }
+}
+
+async function cdpFrameIds(session, frames) {
+  const owners = new Map();
+  for (const frame of frames) {
+    const owner = await frame.frameElement().catch(() => null);
+    if (!owner) continue;
+    const token = Math.random().toString(36).slice(2, 10);
+    await owner.evaluate((el, value) => el.setAttribute('data-nerova-frame', value), token).catch(() => {});
+    owners.set(token, { frame, owner });
+  }
+  const ids = new Map();
+  if (!owners.size) return ids;
+  try {
+    const { root } = await session.send('DOM.getDocument', { depth: -1, pierce: true });
+    const walk = (node) => {
+      if (!node) return;
+      const attributes = node.attributes || [];
+      const at = attributes.indexOf('data-nerova-frame');
+      if (at >= 0 && at % 2 === 0 && node.frameId && owners.has(attributes[at + 1])) {
+        ids.set(owners.get(attributes[at + 1]).frame, node.frameId);
+      }
+      (node.children || []).forEach(walk);
+      (node.shadowRoots || []).forEach(walk);
+      walk(node.contentDocument);
+    };
+    walk(root);
+  } finally {
+    for (const { owner } of owners.values()) {
+      await owner.evaluate((el) => el.removeAttribute('data-nerova-frame')).catch(() => {});
+      await owner.dispose().catch(() => {});
+    }
+  }
+  return ids;
+}
+
+async function createA11yCollector(page, childFrames) {
+  const enable = async (session) => {
+    await session.send('DOM.enable').catch(() => {});
+    await session.send('Accessibility.enable').catch(() => {});
+  };
+  const pageSession = await page.context().newCDPSession(page);
+  const sessions = [pageSession];
+  await enable(pageSession);
+  const frameIds = await cdpFrameIds(pageSession, childFrames).catch(() => new Map());
+  return {
+    async collect(frame, params) {
+      if (frame === page.mainFrame()) return a11yItems(pageSession, params);
+      const frameId = frameIds.get(frame);
+      if (frameId) {
+        const items = await a11yItems(pageSession, { ...params, frameId }).catch(() => null);
+        if (items) return items;
+      }
+      const session = await page.context().newCDPSession(frame);
+      sessions.push(session);
+      await enable(session);
+      return a11yItems(session, params);
+    },
+    async close() {
+      await Promise.all(sessions.map((session) => session.detach().catch(() => {})));
+    }
+  };
+}
+
 async function collectViewportElements(page, options = {}) {
   const params = {
     max: Math.max(10, Math.min(5000, Number(options.max) || 1000)),
     minSize: Math.max(4, Math.min(100, Number(options.minSize) || 8))
   };
-  const elements = await page.evaluate(({ max, minSize }) => {
-    const clamp = (val) => (Number.isFinite(val) ? Math.round(val) : 0);
-    const collapseWhitespace = (text) => (text || '').toString().replace(/\s+/g, ' ').trim();
-    const isVisible = (el) => {
-      try {
-        const style = getComputedStyle(el);
-        if (style.visibility === 'hidden' || style.display === 'none' || Number(style.opacity || '1') === 0) return false;
-        const rect = el.getBoundingClientRect();
-        if (!rect || rect.width <= 0 || rect.height <= 0) return false;
-        if (rect.bottom <= 0 || rect.right <= 0) return false;
-        if (rect.left >= (window.innerWidth || 0) || rect.top >= (window.innerHeight || 0)) return false;
-        return true;
-      } catch {
-        return false;
-      }
-    };
-    const computeRole = (el) => {
+  const main = page.mainFrame();
+  const childFrames = [];
+  if (options.frames !== false) {
+    const queue = main.childFrames().map((frame, index) => ({ frame, path: `main/${index}` }));
+    while (queue.length) {
+      const entry = queue.shift();
+      childFrames.push(entry);
+      entry.frame.childFrames().forEach((child, index) => queue.push({ frame: child, path: `${entry.path}/${index}` }));
+    }
+  }
+  let a11y = null;
+  if (options.collector === 'a11y') {
+    a11y = await createA11yCollector(page, childFrames.map((entry) => entry.frame)).catch((error) => {
+      console.warn(`[nerovaagent] a11y collector unavailable (${error?.message || error}); using DOM collector.`);
+      return null;
+    });
+  }
+  const collectIn = async (frame, frameParams) => {
+    if (a11y) {
+      const found = await a11y.collect(frame, frameParams).catch(() => null);
+      if (found) return found;
+    }
+    return frame.evaluate(collectFrameElements, frameParams);
+  };
+  try {
+    const mainItems = await collectIn(main, params).catch(() => []);
+    const items = (Array.isArray(mainItems) ? mainItems : []).map((item) => ({ ...item, frame: 'main' }));
+    if (!childFrames.length) return items;
+    const viewport = page.viewportSize() || await main.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight })).catch(() => null);
+    for (const { frame, path } of childFrames) {
+      if (items.length >= params.max) break;
+      if (frame.isDetached()) continue;
       try {
-        const aria = (el.getAttribute('role') || '').trim().toLowerCase();
-        if (aria) return aria;
-        const tag = (el.tagName || '').toLowerCase();
-        if (tag === 'a') return el.getAttribute('href') ? 'link' : 'generic';
-        if (tag === 'button') return 'button';
-        if (tag === 'input') {
-          const type = (el.getAttribute('type') || '').toLowerCase();
-          if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
-          if (type === 'checkbox') return 'checkbox';
-          if (type === 'radio') return 'radio';
-          if (type === 'range') return 'slider';
-          return 'textbox';
-        }
-        if (tag === 'select') return 'combobox';
-        if (tag === 'textarea') return 'textbox';
-        if (tag === 'summary') return 'button';
-        if (tag === 'option') return 'option';
-        return 'generic';
-      } catch {
-        return 'generic';
+        const offset = await frameOffset(frame);
+        if (!offset || offset.width < 2 || offset.height < 2) continue;
+        const frameItems = await collectIn(frame, {
+          max: params.max - items.length,
+          minSize: params.minSize,
+          idPrefix: `${path.slice('main/'.length).replace(/\//g, '.')}-`
+        });
+        if (!Array.isArray(frameItems) || !frameItems.length) continue;
+        const translated = frameItems.map((item) => {
+          const center = [Math.round(item.center[0] + offset.x), Math.round(item.center[1] + offset.y)];
+          const rect = [Math.round(item.rect[0] + offset.x), Math.round(item.rect[1] + offset.y), item.rect[2], item.rect[3]];
+          const insideFrame = item.center[0] >= 0 && item.center[1] >= 0
+            && item.center[0] <= offset.width && item.center[1] <= offset.height;
+          const insideViewport = !viewport || (center[0] >= 0 && center[1] >= 0
+            && center[0] < viewport.width && center[1] < viewport.height);
+          return {
+            ...item,
+            center,
+            rect,
+            hit_state: insideFrame && insideViewport ? item.hit_state : 'offscreen_page',
+            frame: path,
+            frameUrl: frame.url()
+          };
+        });
+        const hittable = translated.filter((item) => item.hit_state === 'hittable');
+        if (hittable.length) {
+          const visible = await frameIsUnobstructed(page, frame, hittable.map((item) => item.center)).catch(() => null);
+          if (Array.isArray(visible)) {
+            hittable.forEach((item, index) => {
+              if (!visible[index]) item.hit_state = 'occluded';
+            });
+          }
+        }
+        items.push(...translated);
+      } catch {}
+    }
+    return items.slice(0, params.max);
+  } finally {
+    await a11y?.close();
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function buildMarks(page, { collector = DEFAULT_COLLECTOR, max = MARKS_MAX } = {}) {
+  const elements = dedupeElements(await collectViewportElements(page, { max: 1500, collector }));
+  const hittable = elements
+    .filter((element) => element?.hit_state === 'hittable' && Array.isArray(element.rect) && element.rect.length === 4)
+    .filter((element) => element.role !== 'generic' || element.href);
+  const contained = (inner, outer) => inner !== outer
+    && inner.rect[0] >= outer.rect[0] && inner.rect[1] >= outer.rect[1]
+    && inner.rect[0] + inner.rect[2] <= outer.rect[0] + outer.rect[2]
+    && inner.rect[1] + inner.rect[3] <= outer.rect[1] + outer.rect[3];
+  const leaves = hittable.filter((element) => !hittable.some((other) => contained(other, element) && other.role === element.role));
+  return leaves
+    .sort((a, b) => a.rect[1] - b.rect[1] || a.rect[0] - b.rect[0])
+    .slice(0, max)
+    .map((element, index) => ({
+      mark: index + 1,
+      id: element.id || null,
+      name: element.name || '',
+      role: element.role || 'generic',
+      center: element.center,
+      rect: element.rect,
+      frame: element.frame || 'main'
+    }));
+}
+
+async function drawMarks(page, marks) {
+  await page.evaluate(({ id, marks }) => {
+    document.getElementById(id)?.remove();
+    const root = document.createElement('div');
+    root.id = id;
+    root.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+    const colors = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#9a6324', '#800000'];
+    for (const item of marks) {
+      const [left, top, width, height] = item.rect;
+      const color = colors[item.mark % colors.length];
+      const box = document.createElement('div');
+      box.style.cssText = `position:fixed;left:${left}px;top:${top}px;width:${width}px;height:${height}px;`
+        + `border:2px solid ${color};box-sizing:border-box;`;
+      const label = document.createElement('div');
+      label.textContent = String(item.mark);
+      label.style.cssText = `position:fixed;left:${Math.max(0, left)}px;top:${Math.max(0, top - 14)}px;`
+        + `background:${color};color:#fff;font:bold 11px/14px monospace;padding:0 3px;border-radius:2px;`;
+      root.appendChild(box);
+      root.appendChild(label);
+    }
+    document.documentElement.appendChild(root);
+  }, { id: MARKS_OVERLAY_ID, marks });
+}
+
+async function clearMarks(page) {
+  await page.evaluate((id) => document.getElementById(id)?.remove(), MARKS_OVERLAY_ID).catch(() => {});
+}
+
+const networkTrackers = new WeakMap();
+
+function trackNetwork(page) {
+  let tracker = networkTrackers.get(page);
+  if (tracker) return tracker;
+  const inflight = new Map();
+  tracker = {
+    inflight,
+    lastActivity: Date.now(),
+    pending(now = Date.now()) {
+      let count = 0;
+      for (const startedAt of inflight.values()) {
+        if (now - startedAt < LONG_REQUEST_MS) count += 1;
       }
-    };
-    const computeEnabled = (el) => {
+      return count;
+    }
+  };
+  const settle = (request) => {
+    inflight.delete(request);
+    tracker.lastActivity = Date.now();
+  };
+  page.on('request', (request) => {
+    if (['websocket', 'eventsource'].includes(request.resourceType())) return;
+    inflight.set(request, Date.now());
+    tracker.lastActivity = Date.now();
+  });
+  page.on('requestfinished', settle);
+  page.on('requestfailed', settle);
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) tracker.lastActivity = Date.now();
+  });
+  networkTrackers.set(page, tracker);
+  return tracker;
+}
+
+async function readDomActivity(page, needle = null) {
+  return page.evaluate((needle) => {
+    const now = performance.now();
+    let state = window.__nerovaStability;
+    if (!state) {
+      state = { lastMutation: now, lastShift: 0, mutations: 0 };
+      window.__nerovaStability = state;
       try {
-        if (el.disabled) return false;
-        const aria = (el.getAttribute('aria-disabled') || '').trim().toLowerCase();
-        if (aria === 'true') return false;
-        return true;
-      } catch {
-        return true;
-      }
-    };
-    const bestSelector = (el) => {
+        new MutationObserver((records) => {
+          state.mutations += records.length;
+          state.lastMutation = performance.now();
+        }).observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+      } catch {}
       try {
-        if (el.id) return `#${el.id}`;
-        const dt = el.getAttribute('data-testid') || el.getAttribute('data-test') || el.getAttribute('data-qa');
-        if (dt) return `[data-testid="${dt.replace(/"/g, '\\"')}"]`;
-        const aria = el.getAttribute('aria-label');
-        if (aria) return `[aria-label="${aria.replace(/"/g, '\\"')}"]`;
-        const parts = [];
-        let cur = el;
-        for (let depth = 0; depth < 3 && cur; depth += 1) {
-          const tag = (cur.tagName || 'div').toLowerCase();
-          const parent = cur.parentElement;
-          if (!parent) {
-            parts.unshift(tag);
-            break;
+        new PerformanceObserver((list) => {
+          for (const entry of list.getEntries()) {
+            if (!entry.hadRecentInput) state.lastShift = performance.now();
           }
-          const siblings = Array.from(parent.children).filter((c) => c.tagName === cur.tagName);
-          const idx = siblings.indexOf(cur) + 1;
-          parts.unshift(`${tag}:nth-of-type(${idx})`);
-          cur = parent;
-        }
-        return parts.join('>') || (el.tagName || '').toLowerCase();
-      } catch {
-        return (el.tagName || '').toLowerCase();
+        }).observe({ type: 'layout-shift', buffered: true });
+      } catch {}
+    }
+    const selectors = [
+      '[aria-busy="true"]',
+      '[role="progressbar"]',
+      '.spinner',
+      '.loader',
+      '.loading',
+      '[class*="spinner" i]',
+      '[class*="skeleton" i]',
+      '[class*="shimmer" i]'
+    ];
+    let spinners = 0;
+    try {
+      for (const el of document.querySelectorAll(selectors.join(','))) {
+        const rect = el.getBoundingClientRect();
+        if (rect.width < 4 || rect.height < 4) continue;
+        if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) continue;
+        const style = getComputedStyle(el);
+        if (style.visibility === 'hidden' || style.display === 'none' || Number(style.opacity) === 0) continue;
+        spinners += 1;
+        if (spinners >= 5) break;
       }
+    } catch {}
+    return {
+      readyState: document.readyState,
+      sinceMutation: now - state.lastMutation,
+      sinceShift: state.lastShift ? now - state.lastShift : Infinity,
+      mutations: state.mutations,
+      spinners,
+      textFound: needle
+        ? Boolean(document.body && (document.body.innerText || '').toLowerCase().includes(needle))
+        : true
     };
+  }, needle);
+}
 
-    const viewW = Math.max(1, window.innerWidth || 0);
-    const viewH = Math.max(1, window.innerHeight || 0);
-    const maxArea = viewW * viewH * 1.5;
-    const nodes = Array.from(document.querySelectorAll('*'));
-    const items = [];
-    for (const el of nodes) {
-      try {
-        const tagName = (el.tagName || '').toLowerCase();
-        if (tagName === 'html' || tagName === 'head' || tagName === 'body') continue;
-        if (!isVisible(el)) continue;
-        const rect = el.getBoundingClientRect();
-        if (rect.width < minSize && rect.height < minSize) continue;
-        if ((rect.width * rect.height) > maxArea) continue;
-        if (rect.width >= viewW * 0.95 && rect.height >= viewH * 0.95) continue;
-        const center = [clamp(rect.left + rect.width / 2), clamp(rect.top + rect.height / 2)];
-        const viewport = {
-          left: rect.left,
-          top: rect.top,
-          right: rect.left + rect.width,
-          bottom: rect.top + rect.height
-        };
-        const inViewport = viewport.right > 0 && viewport.bottom > 0 && viewport.left < (window.innerWidth || 0) && viewport.top < (window.innerHeight || 0);
-        const elAtPoint = document.elementFromPoint(center[0], center[1]);
-        const occluded = elAtPoint && elAtPoint !== el && !el.contains(elAtPoint);
-        const hitState = inViewport ? (occluded ? 'occluded' : 'hittable') : 'offscreen_page';
-        const aria = el.getAttribute('aria-label');
-        const placeholder = el.getAttribute('placeholder');
-        const value = (el.value || '').toString();
-        const name = collapseWhitespace(((aria || '') || el.innerText || el.textContent || placeholder || value || '').slice(0, 400));
-        const role = computeRole(el);
-        const enabled = computeEnabled(el);
-        const href = el.tagName && el.tagName.toLowerCase() === 'a' ? el.href || null : null;
-        const selector = bestSelector(el);
-        if (selector) {
-          const lowerSelector = selector.toLowerCase();
-          if (lowerSelector === 'html' || lowerSelector === 'head' || lowerSelector === 'body') continue;
-          if (/html\s*>/.test(lowerSelector) || /body\s*>/.test(lowerSelector)) continue;
-        }
-        if (role === 'generic' && !href && !enabled) continue;
-        if (!name && role === 'generic') continue;
-        if (role === 'generic' && rect.width >= viewW * 0.8 && rect.height >= viewH * 0.8) continue;
-        items.push({
-          id: `${role}-${items.length}`,
-          name,
-          role,
-          enabled,
-          hit_state: hitState,
-          center,
-          rect: [clamp(rect.left), clamp(rect.top), clamp(rect.width), clamp(rect.height)],
-          selector,
-          href,
-          className: (el.className && el.className.toString && el.className.toString()) || ''
-        });
-      } catch {}
-      if (items.length >= max) break;
+async function readPageState(page) {
+  const dom = await readDomActivity(page).catch(() => null);
+  const focus = await page.evaluate(() => {
+    let el = document.activeElement;
+    while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+    if (!el || el === document.body || el === document.documentElement) return null;
+    const label = el.getAttribute('aria-label') || el.getAttribute('name') || el.getAttribute('placeholder') || '';
+    return `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${label ? ` "${label.slice(0, 60)}"` : ''}`;
+  }).catch(() => null);
+  return { url: page.url(), mutations: dom?.mutations ?? null, focus };
+}
+
+function decisionSignature(decision) {
+  const target = decision.target || {};
+  const text = target.hints?.text_exact?.[0] || target.hints?.text?.[0] || null;
+  const center = roundedPoint(target.center);
+  let detail = decision.scroll?.direction || decision.url || decision.key || decision.tab || null;
+  if (!detail && decision.wait) detail = decision.wait.until || decision.wait.text || null;
+  if (!detail && Number.isInteger(target.mark)) detail = `mark ${target.mark}`;
+  if (!detail && text) detail = `"${String(text).trim().toLowerCase().slice(0, 60)}"`;
+  if (!detail && center) detail = `@${Math.round(center[0] / 50) * 50},${Math.round(center[1] / 50) * 50}`;
+  if (detail && typeof target.content === 'string') detail = `${detail} <- "${target.content.slice(0, 40)}"`;
+  const action = targetActionType(decision.action);
+  return detail ? `${action} ${detail}` : action;
+}
+
+async function waitForStable(page, {
+  quietMs = STABLE_QUIET_MS,
+  timeoutMs = STABLE_TIMEOUT_MS,
+  until = 'stable',
+  text = null
+} = {}) {
+  const tracker = trackNetwork(page);
+  const startedAt = Date.now();
+  const needle = typeof text === 'string' && text.trim() ? text.trim().toLowerCase() : null;
+  let last = null;
+  while (true) {
+    ensureNotPaused('stability_wait', { allowAbort: true });
+    const now = Date.now();
+    let dom = null;
+    try {
+      dom = await readDomActivity(page, needle);
+    } catch {}
+    const pending = tracker.pending(now);
+    const networkQuiet = pending === 0 && now - tracker.lastActivity >= quietMs;
+    const blockers = [];
+    if (!dom) {
+      blockers.push('navigating');
+    } else {
+      const loaded = until === 'load' ? dom.readyState === 'complete' : dom.readyState !== 'loading';
+      if (!loaded) blockers.push('document_loading');
+      if (!dom.textFound) blockers.push('text_missing');
+      if (until !== 'load' && !networkQuiet) blockers.push('network');
+      if (until === 'stable') {
+        if (dom.sinceMutation < quietMs) blockers.push('mutations');
+        if (dom.sinceShift < quietMs) blockers.push('layout_shift');
+        if (dom.spinners > 0) blockers.push('spinner');
+      }
     }
-    return items;
-  }, params);
-  return Array.isArray(elements) ? elements : [];
+    last = {
+      pending,
+      mutations: dom?.mutations ?? null,
+      spinners: dom?.spinners ?? null,
+      blockers
+    };
+    const waitedMs = now - startedAt;
+    if (!blockers.length) {
+      return { stable: true, waitedMs, ...last };
+    }
+    if (waitedMs >= timeoutMs) {
+      return { stable: false, waitedMs, ...last };
+    }
+    await delay(STABLE_POLL_MS);
+  }
 }
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+const TARGET_ACTIONS = new Set([
+  'accept',
+  'click_by_text_role',
+  'hover',
+  'double_click',
+  'right_click',
+  'select_option',
+  'drag'
+]);
+
+function targetActionType(action) {
+  return action === 'accept' || action === 'click_by_text_role' ? 'click' : action;
+}
+
+function roundedPoint(point) {
+  return Array.isArray(point) && point.length === 2 ? point.map((value) => Math.round(value)) : null;
+}
+
+function frameForPath(page, framePath) {
+  let frame = page.mainFrame();
+  if (!framePath || framePath === 'main') return frame;
+  for (const index of String(framePath).split('/').slice(1)) {
+    frame = frame?.childFrames()[Number(index)] || null;
+  }
+  return frame;
 }
 
 async function executeAction(page, action = {}) {
@@ -568,18 +1274,199 @@ async function executeAction(page, action = {}) {
       await page.goBack().catch(() => {});
       ensureNotPaused(`${label}_post`, { allowAbort: true });
       break;
+    case 'hover':
+    case 'double_click':
+    case 'right_click': {
+      const point = roundedPoint(action.center);
+      if (!point) {
+        console.warn(`[nerovaagent] ${action.type} action skipped (no coordinates)`);
+        return { ok: false, error: 'no_coordinates' };
+      }
+      await page.bringToFront().catch(() => {});
+      ensureNotPaused(`${label}_pre`, { allowAbort: true });
+      const [x, y] = point;
+      if (action.type === 'hover') {
+        await page.mouse.move(x, y, { steps: 8 });
+        await delay(400);
+      } else if (action.type === 'double_click') {
+        await page.mouse.dblclick(x, y);
+      } else {
+        await page.mouse.click(x, y, { button: 'right' });
+      }
+      ensureNotPaused(`${label}_post`, { allowAbort: true });
+      break;
+    }
+    case 'select_option': {
+      const point = roundedPoint(action.center);
+      if (!point) {
+        return { ok: false, error: 'no_coordinates' };
+      }
+      ensureNotPaused(`${label}_pre`, { allowAbort: true });
+      const frame = frameForPath(page, action.frame);
+      if (!frame || frame.isDetached()) {
+        return { ok: false, error: 'frame_not_found' };
+      }
+      let [x, y] = point;
+      if (frame !== page.mainFrame()) {
+        const offset = await frameOffset(frame).catch(() => null);
+        if (!offset) return { ok: false, error: 'frame_not_found' };
+        x -= offset.x;
+        y -= offset.y;
+      }
+      const token = Math.random().toString(36).slice(2, 10);
+      const found = await frame.evaluate(([px, py, mark]) => {
+        let el = document.elementFromPoint(px, py);
+        while (el && el.shadowRoot) {
+          const inner = el.shadowRoot.elementFromPoint(px, py);
+          if (!inner || inner === el) break;
+          el = inner;
+        }
+        if (!el) return false;
+        const select = el.closest('select')
+          || (el.tagName === 'LABEL' && el.control?.tagName === 'SELECT' ? el.control : null);
+        if (!select) return false;
+        select.setAttribute('data-nerova-select', mark);
+        return true;
+      }, [x, y, token]).catch(() => false);
+      if (!found) {
+        return { ok: false, error: 'select_not_found' };
+      }
+      const locator = frame.locator(`select[data-nerova-select="${token}"]`);
+      const option = action.option || {};
+      const choice = typeof option.label === 'string'
+        ? { label: option.label }
+        : typeof option.value === 'string'
+          ? { value: option.value }
+          : { index: Number(option.index) || 0 };
+      let selectResult;
+      try {
+        const selected = await locator.selectOption(choice, { timeout: 5000 });
+        selectResult = { ok: selected.length > 0, selected };
+      } catch (error) {
+        selectResult = { ok: false, error: error?.message || String(error) };
+      } finally {
+        await locator.evaluate((el) => el.removeAttribute('data-nerova-select')).catch(() => {});
+      }
+      ensureNotPaused(`${label}_post`, { allowAbort: true });
+      return selectResult;
+    }
+    case 'press_key': {
+      const repeat = Math.min(10, Math.max(1, Number(action.repeat) || 1));
+      await page.bringToFront().catch(() => {});
+      for (let i = 0; i < repeat; i += 1) {
+        ensureNotPaused(`${label}_pre`, { allowAbort: true });
+        try {
+          await page.keyboard.press(action.key);
+        } catch (error) {
+          return { ok: false, error: error?.message || String(error) };
+        }
+        await delay(80);
+      }
+      ensureNotPaused(`${label}_post`, { allowAbort: true });
+      break;
+    }
+    case 'wait': {
+      const ms = Math.min(WAIT_MAX_MS, Math.max(100, Number(action.ms) || STABLE_TIMEOUT_MS));
+      ensureNotPaused(`${label}_pre`, { allowAbort: true });
+      if (!action.until && !action.text) {
+        const endsAt = Date.now() + ms;
+        while (Date.now() < endsAt) {
+          ensureNotPaused(`${label}_sleep`, { allowAbort: true });
+          await delay(Math.min(STABLE_POLL_MS * 2, endsAt - Date.now()));
+        }
+        return { ok: true, met: true, waitedMs: ms };
+      }
+      const result = await waitForStable(page, {
+        timeoutMs: ms,
+        until: action.until || 'stable',
+        text: action.text || null
+      });
+      ensureNotPaused(`${label}_post`, { allowAbort: true });
+      return { ok: true, met: result.stable, waitedMs: result.waitedMs, blockers: result.blockers };
+    }
+    case 'drag': {
+      const from = roundedPoint(action.center);
+      const to = roundedPoint(action.to);
+      if (!from || !to) {
+        return { ok: false, error: 'no_coordinates' };
+      }
+      await page.bringToFront().catch(() => {});
+      ensureNotPaused(`${label}_pre`, { allowAbort: true });
+      await page.mouse.move(from[0], from[1]);
+      await page.mouse.down();
+      try {
+        await page.mouse.move(from[0] + Math.sign(to[0] - from[0]) * 5, from[1] + Math.sign(to[1] - from[1]) * 5);
+        await page.mouse.move(to[0], to[1], { steps: 20 });
+        await delay(120);
+      } finally {
+        await page.mouse.up();
+      }
+      ensureNotPaused(`${label}_post`, { allowAbort: true });
+      break;
+    }
     default:
       ensureNotPaused(`${label}_noop`, { allowAbort: true });
       break;
   }
+  return { ok: true };
+}
+
+function parseRetryAfterHeader(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+async function brainErrorFromResponse(response) {
+  const text = await response.text().catch(() => '');
+  let payload = null;
+  try { payload = JSON.parse(text); } catch {}
+  const error = new Error(`HTTP ${response.status}: ${payload?.error || text}`);
+  error.status = response.status;
+  error.code = payload?.code || null;
+  error.retryable = typeof payload?.retryable === 'boolean'
+    ? payload.retryable
+    : RETRYABLE_BRAIN_STATUS.has(response.status);
+  error.retryAfterMs = payload?.retryAfterMs ?? parseRetryAfterHeader(response.headers.get('retry-after'));
+  return error;
+}
+
+function isBrainUnreachable(error) {
+  if (!error || isAbortError(error)) return false;
+  return BRAIN_NOT_REACHED_CODES.has(error.cause?.code || error.code || '');
+}
+
+function delayWithSignal(ms, signal) {
+  if (!signal) return delay(ms);
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason ?? new Error('aborted'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason ?? new Error('aborted'));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 async function postJson(url, body, options = {}) {
   const {
     signal: externalSignal = null,
     pauseSensitive = true,
-    tag = 'fetch'
+    tag = 'fetch',
+    retries = BRAIN_RETRIES,
+    token = null
   } = options;
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
   let controller = null;
   let cleanup = () => {};
   let signal = externalSignal;
@@ -590,19 +1477,34 @@ async function postJson(url, body, options = {}) {
     signal = controller.signal;
   }
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-      signal
-    });
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      const error = new Error(`HTTP ${response.status}: ${text}`);
-      error.status = response.status;
-      throw error;
+    for (let attempt = 0; ; attempt += 1) {
+      let error;
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal
+        });
+        if (response.ok) {
+          return await response.json();
+        }
+        error = await brainErrorFromResponse(response);
+      } catch (err) {
+        if (signal?.aborted || !isBrainUnreachable(err)) throw err;
+        error = err;
+        error.retryable = true;
+      }
+      if (!error.retryable || UPSTREAM_RETRIED_CODES.has(error.code) || attempt >= retries) {
+        error.fatal = !error.retryable;
+        throw error;
+      }
+      const wait = Number.isFinite(error.retryAfterMs)
+        ? Math.min(BRAIN_RETRY_MAX_MS, error.retryAfterMs)
+        : Math.min(BRAIN_RETRY_MAX_MS, BRAIN_RETRY_BASE_MS * (2 ** attempt));
+      emitHistoryLine(`[nerovaagent] brain ${tag} ${error.code || error.status || error.cause?.code || 'error'}; retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+      await delayWithSignal(wait, signal);
     }
-    return await response.json();
   } catch (error) {
     if (pauseSensitive && (controller?.signal?.aborted || (externalSignal && externalSignal.aborted) || isAbortError(error))) {
       const reason = controller?.signal?.reason || externalSignal?.reason || controller?.__nerovaAbortReason || null;
@@ -676,12 +1578,15 @@ async function resolveClickTarget({
   screenshotPath = null,
   prompt,
   brainUrl,
+  brainToken = null,
   sessionId = null,
   assistantKey,
   assistantId,
   runContext = null,
   step = 0,
-  pauseGate = null
+  pauseGate = null,
+  collector = DEFAULT_COLLECTOR,
+  marks = null
 }) {
   const waitIfPaused = async (stage) => {
     if (typeof pauseGate !== 'function') {
@@ -704,6 +1609,26 @@ async function resolveClickTarget({
       } catch {}
     }
   };
+  const markId = Number(decision?.target?.mark);
+  if (Number.isInteger(markId) && Array.isArray(marks)) {
+    const marked = marks.find((item) => item.mark === markId);
+    if (marked && Array.isArray(marked.center)) {
+      await logWorkflow({
+        stage: 'step3_mark_match',
+        step,
+        mark: markId,
+        target: { name: marked.name, role: marked.role, center: marked.center, id: marked.id }
+      });
+      return {
+        status: 'ok',
+        source: 'mark',
+        element: marked,
+        center: marked.center,
+        debug: { hints, mark: markId }
+      };
+    }
+    await logWorkflow({ stage: 'step3_mark_missing', step, mark: markId });
+  }
   const center = Array.isArray(decision?.target?.center) && decision.target.center.length === 2
     ? decision.target.center.map((value) => {
         const ratio = Number.isFinite(devicePixelRatio) && devicePixelRatio > 0 ? devicePixelRatio : 1;
@@ -722,11 +1647,12 @@ async function resolveClickTarget({
   if (collectGate.resumed) {
     return { status: 'retry' };
   }
-  const allElementsRaw = await collectViewportElements(page, { max: 1500 });
+  const allElementsRaw = await collectViewportElements(page, { max: 1500, collector });
   const allElements = dedupeElements(allElementsRaw);
   await logWorkflow({
     stage: 'step3_hittables',
     step,
+    collector,
     count: allElements.length,
     sample: allElements.slice(0, 5).map((item) => ({
       id: item.id || null,
@@ -820,6 +1746,81 @@ async function resolveClickTarget({
     };
   }
 
+  const hasTextHints = (Array.isArray(hints.text_exact) && hints.text_exact.length)
+    || (Array.isArray(hints.text) && hints.text.length);
+  const scored = scoreCandidates(candidates.length ? candidates : allElements, {
+    hints,
+    center,
+    radius,
+    roles: expectedRoles
+  });
+  const { match: best, reason: fuzzyReason, runnerUp } = hasTextHints
+    ? pickFuzzyMatch(scored)
+    : { match: null, reason: null, runnerUp: null };
+  await logWorkflow({
+    stage: 'step3_scored',
+    step,
+    threshold: MATCH_THRESHOLD,
+    margin: MATCH_MARGIN,
+    top: scored.slice(0, 5).map((item) => ({
+      id: item.id || null,
+      name: item.name,
+      role: item.role,
+      score: item.score,
+      parts: item.score_parts
+    }))
+  });
+  if (runContext && scored.length) {
+    await runContext.writeStepJson(step, 'step3-scored', {
+      threshold: MATCH_THRESHOLD,
+      candidates: scored.slice(0, 50)
+    });
+  }
+  if (fuzzyReason === 'ambiguous') {
+    await logWorkflow({
+      stage: 'step3_ambiguous',
+      step,
+      score: scored[0].score,
+      runnerUp: { name: runnerUp.name, role: runnerUp.role, score: runnerUp.score }
+    });
+  } else if (fuzzyReason === 'not_hittable') {
+    await logWorkflow({
+      stage: 'step3_not_hittable',
+      step,
+      score: scored[0].score,
+      target: { name: scored[0].name, role: scored[0].role, hit_state: scored[0].hit_state || null }
+    });
+  }
+  if (best) {
+    await logWorkflow({
+      stage: 'step3_fuzzy_match',
+      step,
+      score: best.score,
+      target: {
+        name: best.name,
+        role: best.role,
+        center: best.center,
+        id: best.id || null
+      }
+    });
+    return {
+      status: 'ok',
+      source: 'fuzzy',
+      element: best,
+      center: best.center,
+      score: best.score,
+      debug: {
+        hints,
+        center,
+        radius,
+        elements: allElements.slice(0, 50),
+        scored: scored.slice(0, 12)
+      }
+    };
+  }
+  const preferredIds = new Set(preferredPool.map((element) => element.id));
+  const rankedPool = scored.filter((element) => preferredIds.has(element.id));
+
   const tryAssistant = async (pool) => {
     if (!pool.length) return null;
     const assistantGate = await waitIfPaused('assistant_pre_request');
@@ -858,7 +1859,10 @@ async function resolveClickTarget({
     try {
       let response;
       try {
-        response = await postJson(`${brainUrl}/v1/brain/assistant`, assistantPayload, { tag: 'assistant' });
+        response = await postJson(`${brainUrl}/v1/brain/assistant`, assistantPayload, {
+          tag: 'assistant',
+          token: brainToken
+        });
       } catch (error) {
         if (isPauseInterrupt(error)) {
           if (error.abort) {
@@ -879,10 +1883,13 @@ async function resolveClickTarget({
           stage: 'assistant_error',
           step,
           sessionId,
-          error: error?.message || String(error)
+          error: error?.message || String(error),
+          code: error?.code || null,
+          retryable: error?.retryable ?? null
         });
         throw error;
       }
+      runContext?.recordUsage?.('assistant', response?.usage?.call);
       const parsed = response?.assistant?.parsed || response?.assistant || null;
       const assistantResponseGate = await waitIfPaused('assistant_post_response');
       if (!assistantResponseGate.acknowledged) {
@@ -963,9 +1970,10 @@ async function resolveClickTarget({
 
   if (preferredPool.length) {
     // We now rely on the backend assistant when an exact-match click is unavailable.
-    let assistantResult = await tryAssistant(preferredPool);
+    const pool = rankedPool.length ? rankedPool : preferredPool;
+    let assistantResult = await tryAssistant(pool);
     while (assistantResult?.status === 'retry') {
-      assistantResult = await tryAssistant(preferredPool);
+      assistantResult = await tryAssistant(pool);
     }
     if (assistantResult?.status === 'assistant' || assistantResult?.status === 'aborted') {
       return assistantResult;
@@ -978,9 +1986,10 @@ async function resolveClickTarget({
     }
   }
 
-  let lastResort = await tryAssistant(allElements.slice(0, 12));
+  const lastResortPool = scoreCandidates(allElements, { hints, center, radius, roles: expectedRoles }).slice(0, 12);
+  let lastResort = await tryAssistant(lastResortPool);
   while (lastResort?.status === 'retry') {
-    lastResort = await tryAssistant(allElements.slice(0, 12));
+    lastResort = await tryAssistant(lastResortPool);
   }
   if (lastResort) {
     if (lastResort.status !== 'assistant') {
@@ -1018,91 +2027,116 @@ export async function runAgent({
   prompt,
   contextNotes = '',
   brainUrl = DEFAULT_BRAIN_URL,
+  brainToken = DEFAULT_BRAIN_TOKEN,
   criticKey = null,
   assistantKey = null,
   assistantId = null,
   maxSteps = MAX_STEPS,
+  maxDurationMs = MAX_DURATION_MS,
+  maxCostUsd = MAX_COST_USD,
+  maxTokens = MAX_TOKENS,
+  collector = DEFAULT_COLLECTOR,
+  marks = MARKS_ENABLED,
+  stuckWindow = STUCK_WINDOW,
+  answers = null,
+  outputSchema = null,
+  verify = VERIFY_ENABLED,
+  successCriteria = null,
+  verifyRetries = 0,
   bootUrl = null
 }) {
   if (!prompt || !prompt.trim()) {
     throw new Error('prompt_required');
   }
 
-  const basePrompt = prompt.trim();
-  const initialContexts = [];
-  if (typeof contextNotes === 'string') {
-    const trimmed = contextNotes.trim();
-    if (trimmed) initialContexts.push(trimmed);
+  if (!COLLECTORS.includes(collector)) {
+    throw new Error(`unsupported_collector_${collector}`);
+  }
+
+  if (outputSchema !== null && (typeof outputSchema !== 'object' || Array.isArray(outputSchema))) {
+    throw new Error('invalid_output_schema');
   }
-  let overrideContext = null;
-  const collectContexts = () => {
-    const contexts = [...initialContexts];
-    if (typeof overrideContext === 'string' && overrideContext.trim()) {
-      contexts.push(overrideContext.trim());
-    }
-    return contexts;
-  };
-  const buildPrompt = () => {
-    const contexts = collectContexts();
-    return contexts.length
-      ? `${basePrompt}\n\nContext:\n${contexts.join('\n---\n')}`
-      : basePrompt;
-  };
-  let effectivePrompt = buildPrompt();
-  const syncOverrideFromDecision = (decision, stage) => {
-    if (!decision) return;
-    let updated = false;
-    const keepFlag = decision.keep ?? decision.goal?.keep;
-    if (Object.prototype.hasOwnProperty.call(decision.goal ?? {}, 'new_context')) {
-      const raw = (decision.goal?.new_context ?? '').trim();
-      if (!raw) {
-        if (overrideContext !== null) {
-          overrideContext = null;
-          updated = true;
-        }
-      } else if (overrideContext !== raw) {
-        overrideContext = raw;
-        updated = true;
-      }
-    }
-    if (keepFlag === false && overrideContext !== null) {
-      overrideContext = null;
-      updated = true;
-    }
-    if (updated) {
-      effectivePrompt = buildPrompt();
-      try {
-        const contexts = collectContexts();
-        runSession.logWorkflow({
-          stage: 'context_override_update',
-          step: runSession.currentStep || 0,
-          source: stage,
-          contextList: contexts
-        });
-      } catch {}
+
+  const basePrompt = prompt.trim();
+  let pendingContextNotes = typeof contextNotes === 'string' && contextNotes.trim()
+    ? contextNotes.trim()
+    : null;
+  let activeContextNotes = '';
+  const syncContextFromResponse = (response, stage) => {
+    if (!response) return;
+    if (pendingContextNotes !== null) {
+      pendingContextNotes = null;
     }
+    if (typeof response.contextNotes !== 'string') return;
+    const next = response.contextNotes.trim();
+    if (next === activeContextNotes) return;
+    activeContextNotes = next;
+    try {
+      runSession.logWorkflow({
+        stage: 'context_override_update',
+        step: runSession.currentStep || 0,
+        source: stage,
+        contextNotes: activeContextNotes
+      });
+    } catch {}
   };
 
+  const budget = createBudget({ maxDurationMs, maxCostUsd, maxTokens });
   const runSession = await startRunSession({
     prompt: basePrompt,
     contextNotes,
     brainUrl,
     bootUrl,
-    maxSteps
+    maxSteps,
+    budget,
+    collector,
+    marks,
+    stuckWindow,
+    outputSchema,
+    verify,
+    successCriteria,
+    verifyRetries
   });
+  const runStartedAt = Date.now();
+  const summaryExtra = {};
+  let result = null;
+  const checkBudget = async (stage) => {
+    const elapsedMs = Date.now() - runStartedAt;
+    const { totalTokens, costUsd } = runSession.usage;
+    const exceeded = exceededBudget(budget, { elapsedMs, costUsd, totalTokens });
+    if (!exceeded) return false;
+    summaryExtra.budget = { ...budget, ...exceeded, elapsedMs, stage };
+    await runSession.log(`budget exceeded limit=${exceeded.limit} value=${exceeded.value} max=${exceeded.max} stage=${stage}`);
+    await runSession.logWorkflow({
+      stage: 'budget_exceeded',
+      step: runSession.currentStep || 0,
+      at: stage,
+      ...exceeded
+    });
+    return true;
+  };
 
   await runSession.logWorkflow({
     stage: 'run_start',
     prompt: basePrompt,
     brainUrl,
     bootUrl,
-    maxSteps
+    maxSteps,
+    budget
   });
 
   const normalizedBrainUrl = brainUrl.replace(/\/$/, '');
 
   const { context } = await ensureContext();
   let activePage = null;
+  let tabs = null;
+  let lastFrameGrid = null;
+  let pendingEffect = null;
+  let lastActionEffect = null;
+  let invalidDecisions = 0;
+  const stuck = Number.isInteger(stuckWindow) && stuckWindow > 0 ? createStuckDetector({ size: stuckWindow }) : null;
+  let actionId = null;
+  let pendingOutcome = null;
   let captureFrame = null;
   let sessionId = null;
 
@@ -1146,23 +2180,176 @@ export async function runAgent({
     await runSession.logWorkflow({ ...barrierMeta, state: 'resumed' });
     return { acknowledged: true, resumed: true };
   };
+  const noteOutcome = (outcomeStatus, extra = {}) => {
+    pendingOutcome = { ...(actionId !== null ? { actionId } : {}), status: outcomeStatus, ...extra };
+  };
+  const flushOutcome = async () => {
+    if (!pendingOutcome || !sessionId) return;
+    const outcome = pendingOutcome;
+    pendingOutcome = null;
+    try {
+      await postJson(`${normalizedBrainUrl}/v1/brain/sessions/${encodeURIComponent(sessionId)}/outcomes`, outcome, {
+        tag: 'outcome',
+        token: brainToken,
+        pauseSensitive: false,
+        retries: 0
+      });
+    } catch (error) {
+      await runSession.log(`outcome report failed: ${error?.message || String(error)}`);
+    }
+  };
   let iterations = 0;
   let completeHistory = [];
   let status = 'in_progress';
   let runError = null;
+  let verifyAttempts = 0;
+  const continueAfterVerification = async () => {
+    if (!verify) return false;
+    verifyAttempts += 1;
+    let verdict = null;
+    try {
+      const frame = await captureFrame(iterations, 'verify.png');
+      const response = await postJson(`${normalizedBrainUrl}/v1/brain/verify`, {
+        mode: MODE,
+        prompt: basePrompt,
+        screenshot: frame.screenshotB64,
+        sessionId,
+        completeHistory,
+        ...(successCriteria ? { successCriteria } : {}),
+        ...(result !== null ? { result } : {}),
+        criticKey
+      }, {
+        tag: 'verify',
+        token: brainToken,
+        pauseSensitive: false
+      });
+      await runSession.writeStepJson(iterations, 'verify-output', response || {});
+      runSession.recordUsage('verify', response?.usage?.call);
+      if (typeof response?.achieved === 'boolean') {
+        verdict = {
+          achieved: response.achieved,
+          evidence: response.evidence || '',
+          confidence: response.confidence ?? null
+        };
+      }
+    } catch (error) {
+      const message = error?.message || String(error);
+      summaryExtra.verified = null;
+      summaryExtra.verifyError = message;
+      await runSession.log(`verification failed: ${message}`);
+      await runSession.logWorkflow({ stage: 'verify_error', step: iterations, error: message });
+      return false;
+    }
+    if (!verdict) {
+      summaryExtra.verified = null;
+      summaryExtra.verifyError = 'invalid_verdict';
+      await runSession.log('verification returned no valid verdict');
+      await runSession.logWorkflow({ stage: 'verify_error', step: iterations, error: 'invalid_verdict' });
+      return false;
+    }
+    summaryExtra.verified = verdict.achieved;
+    summaryExtra.verification = { ...verdict, attempts: verifyAttempts };
+    delete summaryExtra.verifyError;
+    await runSession.log(`verification achieved=${verdict.achieved} confidence=${verdict.confidence ?? 'n/a'} :: ${verdict.evidence}`);
+    await runSession.logWorkflow({
+      stage: 'verify_result',
+      step: iterations,
+      ...verdict,
+      attempt: verifyAttempts
+    });
+    emitHistoryLine(`[nerovaagent] goal ${verdict.achieved ? 'verified' : 'NOT verified'}: ${verdict.evidence}`);
+    if (verdict.achieved || verifyAttempts > verifyRetries) return false;
+    pendingContextNotes = [activeContextNotes, `The goal is not achieved yet: ${verdict.evidence}`].filter(Boolean).join('\n');
+    await runSession.logWorkflow({
+      stage: 'verify_continue',
+      step: iterations,
+      attempt: verifyAttempts,
+      retries: verifyRetries
+    });
+    return true;
+  };
   try {
     activePage = await ensureActivePage(context);
+    tabs = createTabRegistry(context, {
+      onEvent: (event) => runSession.logWorkflow({ ...event, step: runSession.currentStep || 0 })
+    });
+    const activateTab = async (page, reason) => {
+      if (!page) return false;
+      activePage = page;
+      sharedPage = page;
+      await page.bringToFront().catch(() => {});
+      await runSession.log(`tab ${tabs.idFor(page) || '?'} active (${reason}) url=${page.url()}`);
+      await runSession.logWorkflow({
+        stage: 'tab_active',
+        step: runSession.currentStep || 0,
+        tab: tabs.idFor(page),
+        url: page.url(),
+        reason
+      });
+      return true;
+    };
+    const ensureLiveTab = async () => {
+      if (activePage && !activePage.isClosed()) return;
+      const next = tabs.fallback(activePage) || await context.newPage();
+      tabs.register(next);
+      await activateTab(next, 'active_tab_closed');
+    };
     if (bootUrl) {
       await activePage.goto(bootUrl, { waitUntil: 'load' }).catch(() => {});
-      await delay(800);
+      if (!STABILITY_ENABLED) await delay(800);
     }
 
-    captureFrame = async (step, imageName = 'critic.png') => {
+    captureFrame = async (step, imageName = 'critic.png', { withMarks = false } = {}) => {
       ensureNotPaused('capture_frame', { allowAbort: true });
-      const buffer = await activePage.screenshot({ fullPage: false }).catch(() => null);
+      await ensureLiveTab();
+      let stability = null;
+      if (STABILITY_ENABLED) {
+        stability = await waitForStable(activePage);
+        await runSession.logWorkflow({
+          stage: 'page_stability',
+          step,
+          image: imageName,
+          ...stability
+        });
+      }
+      let frameMarks = null;
+      if (withMarks) {
+        frameMarks = await buildMarks(activePage, { collector }).catch(() => null);
+        if (frameMarks?.length) {
+          await drawMarks(activePage, frameMarks).catch(() => {
+            frameMarks = null;
+          });
+        }
+      }
+      let buffer;
+      try {
+        buffer = await activePage.screenshot({ fullPage: false }).catch(() => null);
+      } finally {
+        if (frameMarks?.length) await clearMarks(activePage);
+      }
       if (!buffer) {
         throw new Error('screenshot_failed');
       }
+      if (frameMarks) {
+        await runSession.writeStepJson(step, 'marks', frameMarks);
+      }
+      lastFrameGrid = luminanceGrid(buffer);
+      if (pendingEffect) {
+        const after = {
+          ...(await readPageState(activePage)),
+          grid: lastFrameGrid,
+          tab: tabs.idFor(activePage)
+        };
+        lastActionEffect = describeEffect(pendingEffect, after);
+        pendingEffect = null;
+        stuck?.recordEffect(lastActionEffect);
+        await runSession.log(`effect of ${lastActionEffect.action}: ${lastActionEffect.changed ? 'changed' : 'no visible effect'} diff=${lastActionEffect.screen_diff ?? 'n/a'} mutations=${lastActionEffect.dom_mutations ?? 'n/a'}`);
+        await runSession.logWorkflow({
+          stage: 'action_effect',
+          step,
+          effect: lastActionEffect
+        });
+      }
       ensureNotPaused('capture_frame_post', { allowAbort: true });
       const pathName = await runSession.writeStepBuffer(step, imageName, buffer);
       let devicePixelRatio = 1;
@@ -1175,13 +2362,15 @@ export async function runAgent({
       return {
         screenshotB64: buffer.toString('base64'),
         screenshotPath: pathName,
-        devicePixelRatio
+        devicePixelRatio,
+        stability,
+        marks: frameMarks
       };
     };
 
     const runBootstrapPhase = async () => {
       for (let attempt = 1; attempt <= 5; attempt += 1) {
-        await delay(200);
+        if (!STABILITY_ENABLED) await delay(200);
 
         if (shouldAbort()) {
           status = 'aborted';
@@ -1221,18 +2410,20 @@ export async function runAgent({
         const { screenshotB64, screenshotPath } = screenshotResult;
         const payload = {
           mode: MODE,
-          prompt: effectivePrompt,
+          prompt: basePrompt,
           screenshot: screenshotB64,
           sessionId,
+          tabs: await tabs.list(activePage),
           criticKey
         };
+        if (pendingContextNotes !== null) payload.contextNotes = pendingContextNotes;
         await runSession.logWorkflow({
           stage: 'bootstrap_request',
           step: 0,
           attempt,
           label,
           sessionId,
-          prompt: effectivePrompt,
+          prompt: basePrompt,
           screenshotLength: screenshotB64.length
         });
         const logPayload = {
@@ -1264,7 +2455,10 @@ export async function runAgent({
 
         let response;
         try {
-          response = await postJson(`${normalizedBrainUrl}/v1/brain/bootstrap`, payload, { tag: 'bootstrap' });
+          response = await postJson(`${normalizedBrainUrl}/v1/brain/bootstrap`, payload, {
+            tag: 'bootstrap',
+            token: brainToken
+          });
         } catch (error) {
           if (isPauseInterrupt(error)) {
             if (error.abort) {
@@ -1294,15 +2488,23 @@ export async function runAgent({
             attempt,
             label,
             sessionId,
-            error: error?.message || String(error)
+            error: error?.message || String(error),
+            code: error?.code || null,
+            retryable: error?.retryable ?? null
           });
           throw error;
         }
         sessionId = response?.sessionId || sessionId;
+        runSession.recordUsage('bootstrap', response?.usage?.call);
         if (Array.isArray(response?.completeHistory)) {
           completeHistory = response.completeHistory;
         }
-        syncOverrideFromDecision(response?.decision, 'bootstrap');
+        syncContextFromResponse(response, 'bootstrap');
+        await runSession.writeStepJson(0, `${label}-output`, response || {});
+        if (await checkBudget('bootstrap_response')) {
+          status = 'budget_exceeded';
+          break;
+        }
 
         const bootstrapResponseGate = await pauseBarrier('bootstrap_post_response', attempt);
         if (!bootstrapResponseGate.acknowledged) {
@@ -1313,13 +2515,8 @@ export async function runAgent({
           attempt -= 1;
           continue;
         }
-        if (bootstrapResponseGate.resumed) {
-          attempt -= 1;
-          continue;
-        }
 
         await runSession.updateCompleteHistory(completeHistory);
-        await runSession.writeStepJson(0, `${label}-output`, response || {});
         const decision = response?.decision || null;
         await runSession.logWorkflow({
           stage: 'bootstrap_response',
@@ -1342,6 +2539,15 @@ export async function runAgent({
         });
 
         if (!decision) {
+          const validation = response?.validation || null;
+          if (validation && validation.valid === false) {
+            await runSession.logWorkflow({
+              stage: 'bootstrap_invalid_decision',
+              step: 0,
+              attempt,
+              validation
+            });
+          }
           await runSession.log('bootstrap: no decision, retrying');
           await delay(400);
           continue;
@@ -1377,7 +2583,7 @@ export async function runAgent({
             }
             throw error;
           }
-          await delay(800);
+          if (!STABILITY_ENABLED) await delay(800);
           const postNavigateGate = await pauseBarrier('bootstrap_post_navigate', attempt);
           if (!postNavigateGate.acknowledged) {
             status = 'aborted';
@@ -1401,7 +2607,11 @@ export async function runAgent({
     }
 
     try {
-      while (iterations < maxSteps) {
+      while (status !== 'budget_exceeded' && iterations < maxSteps) {
+        if (await checkBudget('loop_entry')) {
+          status = 'budget_exceeded';
+          break;
+        }
         iterations += 1;
         runSession.currentStep = iterations;
 
@@ -1423,20 +2633,16 @@ export async function runAgent({
 
         const contextAddition = consumeContext();
         if (contextAddition) {
-          overrideContext = contextAddition.trim();
-          effectivePrompt = buildPrompt();
-          const contexts = collectContexts();
+          pendingContextNotes = contextAddition.trim();
           await runSession.logWorkflow({
             stage: 'context_append',
             step: iterations,
-            context: overrideContext,
-            contextList: contexts,
-            completeHistory,
-            prompt: effectivePrompt
+            context: pendingContextNotes,
+            completeHistory
           });
         }
 
-        await delay(200);
+        if (!STABILITY_ENABLED) await delay(200);
 
         const preCaptureGate = await pauseBarrier('critic_pre_capture', iterations);
         if (!preCaptureGate.acknowledged) {
@@ -1451,7 +2657,7 @@ export async function runAgent({
 
         let criticFrameResult;
         try {
-          criticFrameResult = await captureFrame(iterations);
+          criticFrameResult = await captureFrame(iterations, 'critic.png', { withMarks: marks });
         } catch (error) {
           if (isPauseInterrupt(error)) {
             if (error.abort) {
@@ -1469,14 +2675,31 @@ export async function runAgent({
           }
           throw error;
         }
-        const { screenshotB64, screenshotPath, devicePixelRatio } = criticFrameResult;
+        const { screenshotB64, screenshotPath, devicePixelRatio, marks: frameMarks } = criticFrameResult;
         const criticPayload = {
           mode: MODE,
-          prompt: effectivePrompt,
+          prompt: basePrompt,
           screenshot: screenshotB64,
           sessionId,
+          tabs: await tabs.list(activePage),
           criticKey
         };
+        if (lastActionEffect) {
+          criticPayload.lastActionEffect = lastActionEffect;
+        }
+        if (stuck?.state) {
+          criticPayload.stuck = stuck.state;
+        }
+        if (pendingOutcome) {
+          criticPayload.lastOutcome = pendingOutcome;
+        }
+        if (outputSchema) {
+          criticPayload.outputSchema = outputSchema;
+        }
+        if (frameMarks?.length) {
+          criticPayload.marks = frameMarks.map(({ mark, name, role }) => ({ mark, name, role }));
+        }
+        if (pendingContextNotes !== null) criticPayload.contextNotes = pendingContextNotes;
         const criticLogPayload = {
           ...criticPayload,
           screenshot: `./${screenshotPath}`
@@ -1497,7 +2720,7 @@ export async function runAgent({
           stage: 'critic_request',
           step: iterations,
           sessionId,
-          prompt: effectivePrompt,
+          prompt: basePrompt,
           screenshotLength: screenshotB64.length
         });
 
@@ -1514,7 +2737,10 @@ export async function runAgent({
 
         let criticResponse;
         try {
-          criticResponse = await postJson(`${normalizedBrainUrl}/v1/brain/critic`, criticPayload, { tag: 'critic' });
+          criticResponse = await postJson(`${normalizedBrainUrl}/v1/brain/critic`, criticPayload, {
+            tag: 'critic',
+            token: brainToken
+          });
         } catch (error) {
           if (isPauseInterrupt(error)) {
             if (error.abort) {
@@ -1539,7 +2765,9 @@ export async function runAgent({
             stage: 'critic_error',
             step: iterations,
             sessionId,
-            error: error?.message || String(error)
+            error: error?.message || String(error),
+            code: error?.code || null,
+            retryable: error?.retryable ?? null
           });
           throw error;
         }
@@ -1555,12 +2783,20 @@ export async function runAgent({
         }
 
         sessionId = criticResponse?.sessionId || sessionId;
+        lastActionEffect = null;
+        pendingOutcome = null;
+        actionId = criticResponse?.actionId ?? null;
+        runSession.recordUsage('critic', criticResponse?.usage?.call);
         if (Array.isArray(criticResponse?.completeHistory)) {
           completeHistory = criticResponse.completeHistory;
         }
-        syncOverrideFromDecision(criticResponse?.decision, 'critic');
+        syncContextFromResponse(criticResponse, 'critic');
         await runSession.updateCompleteHistory(completeHistory);
         await runSession.writeStepJson(iterations, 'critic-output', criticResponse || {});
+        if (await checkBudget('critic_response')) {
+          status = 'budget_exceeded';
+          break;
+        }
         const decision = criticResponse?.decision || null;
         const preHistoryGate = await pauseBarrier('critic_pre_history', iterations);
         if (!preHistoryGate.acknowledged) {
@@ -1586,7 +2822,9 @@ export async function runAgent({
           step: iterations,
           sessionId,
           decision,
-          completeHistory
+          completeHistory,
+          usage: criticResponse?.usage?.call || null,
+          runUsage: runSession.usage
         });
 
         const decisionLabel = decision?.action || 'none';
@@ -1604,6 +2842,28 @@ export async function runAgent({
           }
         }
 
+        const validation = criticResponse?.validation || null;
+        if (!decision && validation && validation.valid === false) {
+          status = 'invalid_decision';
+          const violations = Array.isArray(validation.errors)
+            ? validation.errors.map((error) => `${error.path} ${error.message}`)
+            : [];
+          await runSession.log(`critic decision invalid (${validation.stage || 'schema'}) after ${validation.attempts || 1} attempt(s): ${violations.join('; ')}`);
+          await runSession.logWorkflow({
+            stage: 'critic_invalid_decision',
+            step: iterations,
+            validation
+          });
+          invalidDecisions += 1;
+          if (invalidDecisions >= INVALID_DECISION_LIMIT) {
+            await runSession.log(`stopping: ${invalidDecisions} invalid critic decisions in a row`);
+            break;
+          }
+          await delay(250);
+          continue;
+        }
+        invalidDecisions = 0;
+
         if (!decision || !decision.action) {
           status = 'resend';
           await runSession.log('critic returned no action, resend');
@@ -1622,6 +2882,29 @@ export async function runAgent({
             stage: 'action_stop',
             step: iterations
           });
+          if (await continueAfterVerification()) {
+            status = 'continue';
+            continue;
+          }
+          break;
+        }
+
+        if (decision.action === 'answer') {
+          result = decision.data ?? null;
+          summaryExtra.resultFile = await runSession.writeJson('result', result);
+          await runSession.log(`answer recorded in ${summaryExtra.resultFile}`);
+          await runSession.logWorkflow({
+            stage: 'action_answer',
+            step: iterations,
+            data: result
+          });
+          emitHistoryLine(`[nerovaagent] result saved to ${path.join(runSession.dir, summaryExtra.resultFile)}`);
+          noteOutcome('ok');
+          if (await continueAfterVerification()) {
+            status = 'continue';
+            continue;
+          }
+          status = 'stop';
           break;
         }
 
@@ -1636,6 +2919,60 @@ export async function runAgent({
           continue;
         }
 
+        if (stuck) {
+          const signature = decisionSignature(decision);
+          const verdict = stuck.observe({ signature, grid: lastFrameGrid, completed: completeHistory.length });
+          const avoided = stuck.avoids(signature);
+          if (verdict) {
+            let { escalation } = verdict;
+            if (escalation === 'ask_human') {
+              const question = `agent looks stuck (${verdict.reason}: ${verdict.repeated.join(' / ')}); add context to steer it`;
+              if (!requestHumanContext(question)) escalation = 'stop';
+            }
+            await runSession.log(`stuck detected reason=${verdict.reason} level=${verdict.level} escalation=${escalation} repeated=${verdict.repeated.join(' | ')}`);
+            await runSession.logWorkflow({
+              stage: 'stuck_detected',
+              step: iterations,
+              signature,
+              ...verdict,
+              escalation
+            });
+            if (escalation !== 'inform') {
+              noteOutcome('skipped', { detail: `stuck ${verdict.reason}, escalation ${escalation}` });
+            }
+            if (escalation === 'stop') {
+              status = 'stuck';
+              summaryExtra.stuck = { ...verdict, escalation, step: iterations };
+              break;
+            }
+            if (escalation !== 'inform') {
+              status = 'continue';
+              continue;
+            }
+          } else if (avoided) {
+            await runSession.log(`rejected repeated action ${signature}`);
+            await runSession.logWorkflow({
+              stage: 'stuck_rejected',
+              step: iterations,
+              signature,
+              avoid: stuck.state.avoid
+            });
+            noteOutcome('rejected', { detail: 'repeats an action on the stuck avoid list' });
+            status = 'continue';
+            continue;
+          }
+        }
+
+        pendingEffect = {
+          action: decision.action,
+          step: iterations,
+          before: {
+            ...(await readPageState(activePage)),
+            grid: lastFrameGrid,
+            tab: tabs.idFor(activePage)
+          }
+        };
+
         if (decision.action === 'navigate' && decision.url) {
           const navigateGate = await pauseBarrier('action_pre_navigate', iterations);
           if (!navigateGate.acknowledged) {
@@ -1677,6 +3014,7 @@ export async function runAgent({
             url: decision.url,
             reason: decision.reason || null
           });
+          noteOutcome('ok');
           status = 'continue';
           continue;
         }
@@ -1724,6 +3062,7 @@ export async function runAgent({
             direction: dir,
             amount: decision?.scroll?.amount || decision?.scroll?.pages || null
           });
+          noteOutcome('ok');
           status = 'continue';
           continue;
         }
@@ -1763,11 +3102,219 @@ export async function runAgent({
             stage: 'action_back',
             step: iterations
           });
+          noteOutcome('ok');
           status = 'continue';
           continue;
         }
 
-        if (decision.action === 'click_by_text_role' || decision.action === 'accept') {
+        if (['switch_tab', 'new_tab', 'close_tab'].includes(decision.action)) {
+          const tabGate = await pauseBarrier(`action_pre_${decision.action}`, iterations);
+          if (!tabGate.acknowledged) {
+            status = 'aborted';
+            break;
+          }
+          if (tabGate.resumed) {
+            iterations -= 1;
+            runSession.currentStep = iterations;
+            continue;
+          }
+          let tabError = null;
+          if (decision.action === 'switch_tab') {
+            const page = tabs.pageFor(decision.tab);
+            if (page) {
+              await activateTab(page, 'switch_tab');
+            } else {
+              tabError = 'tab_not_found';
+            }
+          } else if (decision.action === 'new_tab') {
+            const page = await context.newPage();
+            tabs.register(page);
+            await activateTab(page, 'new_tab');
+            if (decision.url) {
+              await page.goto(decision.url, { waitUntil: 'load' }).catch((error) => {
+                tabError = error?.message || String(error);
+              });
+            }
+          } else {
+            const page = decision.tab ? tabs.pageFor(decision.tab) : activePage;
+            if (!page) {
+              tabError = 'tab_not_found';
+            } else {
+              const next = page === activePage ? tabs.fallback(page) : null;
+              await page.close().catch(() => {});
+              if (page === activePage) {
+                await activateTab(next || await context.newPage(), 'close_tab');
+              }
+            }
+          }
+          await runSession.log(`${decision.action}${decision.tab ? ` tab=${decision.tab}` : ''}${decision.url ? ` url=${decision.url}` : ''}${tabError ? ` failed: ${tabError}` : ''}`);
+          await runSession.logWorkflow({
+            stage: `action_${decision.action}`,
+            step: iterations,
+            tab: decision.tab || null,
+            url: decision.url || null,
+            active: tabs.idFor(activePage),
+            ok: !tabError,
+            error: tabError
+          });
+          noteOutcome(tabError ? 'failed' : 'ok', tabError ? { error: tabError } : {});
+          status = 'continue';
+          continue;
+        }
+
+        if (decision.action === 'wait') {
+          const waitGate = await pauseBarrier('action_pre_wait', iterations);
+          if (!waitGate.acknowledged) {
+            status = 'aborted';
+            break;
+          }
+          if (waitGate.resumed) {
+            iterations -= 1;
+            runSession.currentStep = iterations;
+            continue;
+          }
+          const wait = decision.wait || {};
+          let waitResult;
+          try {
+            waitResult = await executeAction(activePage, {
+              type: 'wait',
+              ms: wait.ms,
+              until: wait.until || null,
+              text: wait.text || null
+            });
+          } catch (error) {
+            if (isPauseInterrupt(error)) {
+              if (error.abort) {
+                status = 'aborted';
+                break;
+              }
+              const resumedBarrier = await pauseBarrier(error.stage || 'action_wait_interrupt', iterations);
+              if (!resumedBarrier.acknowledged) {
+                status = 'aborted';
+                break;
+              }
+              iterations -= 1;
+              runSession.currentStep = iterations;
+              continue;
+            }
+            throw error;
+          }
+          await runSession.log(`wait ms=${wait.ms || ''} until=${wait.until || ''} met=${waitResult?.met} waited=${waitResult?.waitedMs}`);
+          await runSession.logWorkflow({
+            stage: 'action_wait',
+            step: iterations,
+            wait,
+            met: waitResult?.met ?? null,
+            waitedMs: waitResult?.waitedMs ?? null,
+            blockers: waitResult?.blockers || []
+          });
+          noteOutcome(waitResult?.met === false ? 'failed' : 'ok', waitResult?.met === false ? { error: 'wait_condition_not_met' } : {});
+          status = 'continue';
+          continue;
+        }
+
+        if (decision.action === 'ask_user' && decision.question) {
+          pendingEffect = null;
+          const question = decision.question.trim();
+          const choices = Array.isArray(decision.choices) ? decision.choices : [];
+          await runSession.log(`ask_user ${question}${choices.length ? ` [${choices.join(' | ')}]` : ''}`);
+          await runSession.logWorkflow({
+            stage: 'ask_user',
+            step: iterations,
+            question,
+            choices
+          });
+          let answer = findAnswer(answers, question);
+          let source = answer !== null ? 'answers_file' : null;
+          if (answer === null) {
+            const lines = [`critic asks: ${question}`, ...choices.map((choice, index) => `  ${index + 1}) ${choice}`)];
+            if (requestHumanContext(lines.join('\n'), { prompt: 'answer> ' })) {
+              const answerGate = await pauseBarrier('ask_user', iterations);
+              if (!answerGate.acknowledged) {
+                status = 'aborted';
+                break;
+              }
+              answer = consumeContext();
+              source = 'user';
+            }
+          }
+          if (!answer || !answer.trim()) {
+            noteOutcome('unanswered', { detail: source ? 'empty answer' : 'no interactive input and no answers file entry' });
+            if (!source) {
+              status = 'needs_input';
+              summaryExtra.question = { question, choices, step: iterations };
+              break;
+            }
+            await runSession.log('ask_user left unanswered');
+            status = 'continue';
+            continue;
+          }
+          const resolved = resolveChoice(answer, choices);
+          pendingContextNotes = [activeContextNotes, `User answered "${question}": ${resolved}`].filter(Boolean).join('\n');
+          await runSession.log(`ask_user answered (${source}): ${resolved}`);
+          await runSession.logWorkflow({
+            stage: 'ask_user_answered',
+            step: iterations,
+            question,
+            answer: resolved,
+            source
+          });
+          noteOutcome('ok', { detail: `answered: ${resolved}` });
+          status = 'continue';
+          continue;
+        }
+
+        if (decision.action === 'press_key' && decision.key) {
+          const keyGate = await pauseBarrier('action_pre_press_key', iterations);
+          if (!keyGate.acknowledged) {
+            status = 'aborted';
+            break;
+          }
+          if (keyGate.resumed) {
+            iterations -= 1;
+            runSession.currentStep = iterations;
+            continue;
+          }
+          let keyResult;
+          try {
+            keyResult = await executeAction(activePage, {
+              type: 'press_key',
+              key: decision.key,
+              repeat: decision.repeat || 1
+            });
+          } catch (error) {
+            if (isPauseInterrupt(error)) {
+              if (error.abort) {
+                status = 'aborted';
+                break;
+              }
+              const resumedBarrier = await pauseBarrier(error.stage || 'action_press_key_interrupt', iterations);
+              if (!resumedBarrier.acknowledged) {
+                status = 'aborted';
+                break;
+              }
+              iterations -= 1;
+              runSession.currentStep = iterations;
+              continue;
+            }
+            throw error;
+          }
+          await runSession.log(`press_key key=${decision.key} repeat=${decision.repeat || 1}${keyResult?.ok === false ? ` failed: ${keyResult.error}` : ''}`);
+          await runSession.logWorkflow({
+            stage: 'action_press_key',
+            step: iterations,
+            key: decision.key,
+            repeat: decision.repeat || 1,
+            ok: keyResult?.ok !== false,
+            error: keyResult?.error || null
+          });
+          noteOutcome(keyResult?.ok === false ? 'failed' : 'ok', keyResult?.error ? { error: keyResult.error } : {});
+          status = 'continue';
+          continue;
+        }
+
+        if (TARGET_ACTIONS.has(decision.action)) {
+          const actionType = targetActionType(decision.action);
           const resolveGate = await pauseBarrier('action_pre_resolve_click', iterations);
           if (!resolveGate.acknowledged) {
             status = 'aborted';
@@ -1784,14 +3331,17 @@ export async function runAgent({
             decision,
             screenshot: screenshotB64,
             screenshotPath,
-            prompt: effectivePrompt,
+            prompt: basePrompt,
             brainUrl: normalizedBrainUrl,
+            brainToken,
             sessionId,
             assistantKey,
             assistantId,
             runContext: runSession,
             step: iterations,
-            pauseGate: pauseBarrier
+            pauseGate: pauseBarrier,
+            collector,
+            marks: frameMarks
           });
 
           if (selection?.status === 'aborted') {
@@ -1807,18 +3357,39 @@ export async function runAgent({
           if (selection.status === 'ok' || selection.status === 'assistant') {
             const target = {
               id: selection.element?.id || decision?.target?.id || null,
-              name: selection.element?.name || decision?.target?.hints?.text_partial || null,
-              role: selection.element?.role || decision?.target?.role || null,
+              name: selection.element?.name || decision?.target?.hints?.text_exact?.[0] || decision?.target?.hints?.text?.[0] || null,
+              role: selection.element?.role || decision?.target?.hints?.roles?.[0] || null,
               content: decision?.target?.content || null,
               clear: decision?.target?.clear || false,
               submit: decision?.target?.submit || false
             };
-            await runSession.log(`click name=${target.name || 'unknown'} source=${selection.source || selection.status} center=${Array.isArray(selection.center) ? selection.center.join(',') : 'n/a'}`);
+            const executed = {
+              type: actionType,
+              center: selection.center,
+              target,
+              source: selection.source || selection.status
+            };
+            if (actionType === 'select_option') {
+              executed.option = decision.option || null;
+              executed.frame = selection.element?.frame || 'main';
+            }
+            if (actionType === 'drag') {
+              const safeDpr = Number.isFinite(devicePixelRatio) && devicePixelRatio > 0 ? devicePixelRatio : 1;
+              const to = roundedPoint(decision?.drag?.to);
+              const offset = roundedPoint(decision?.drag?.offset);
+              executed.to = to
+                ? to.map((value) => value / safeDpr)
+                : offset && Array.isArray(selection.center)
+                  ? [selection.center[0] + offset[0] / safeDpr, selection.center[1] + offset[1] / safeDpr]
+                  : null;
+            }
+            await runSession.log(`${actionType} name=${target.name || 'unknown'} source=${selection.source || selection.status} center=${Array.isArray(selection.center) ? selection.center.join(',') : 'n/a'}`);
             await runSession.writeStepJson(iterations, 'click-selection', {
+              action: actionType,
               target,
               selection
             });
-            const clickGate = await pauseBarrier('action_pre_click', iterations);
+            const clickGate = await pauseBarrier(`action_pre_${actionType}`, iterations);
             if (!clickGate.acknowledged) {
               status = 'aborted';
               break;
@@ -1828,20 +3399,17 @@ export async function runAgent({
               runSession.currentStep = iterations;
               continue;
             }
+            let actionResult;
+            const openedBefore = tabs.openedCount;
             try {
-              await executeAction(activePage, {
-                type: 'click',
-                center: selection.center,
-                target,
-                source: selection.source || selection.status
-              });
+              actionResult = await executeAction(activePage, executed);
             } catch (error) {
               if (isPauseInterrupt(error)) {
                 if (error.abort) {
                   status = 'aborted';
                   break;
                 }
-                const resumedBarrier = await pauseBarrier(error.stage || 'action_click_interrupt', iterations);
+                const resumedBarrier = await pauseBarrier(error.stage || `action_${actionType}_interrupt`, iterations);
                 if (!resumedBarrier.acknowledged) {
                   status = 'aborted';
                   break;
@@ -1852,12 +3420,26 @@ export async function runAgent({
               }
               throw error;
             }
+            if (actionResult?.ok === false) {
+              await runSession.log(`${actionType} failed: ${actionResult.error}`);
+            }
+            if (actionType === 'click' || actionType === 'double_click') {
+              const popup = await tabs.waitForOpened(openedBefore);
+              if (popup && popup !== activePage) {
+                await activateTab(popup, `opened_by_${actionType}`);
+              }
+            }
             await runSession.logWorkflow({
-              stage: 'action_click',
+              stage: `action_${actionType}`,
               step: iterations,
               target,
-              source: selection.source || selection.status
+              source: selection.source || selection.status,
+              ...(executed.option ? { option: executed.option } : {}),
+              ...(executed.to ? { to: executed.to } : {}),
+              ok: actionResult?.ok !== false,
+              error: actionResult?.error || null
             });
+            noteOutcome(actionResult?.ok === false ? 'failed' : 'ok', actionResult?.error ? { error: actionResult.error } : {});
             status = 'continue';
             continue;
           }
@@ -1868,6 +3450,7 @@ export async function runAgent({
               stage: 'await_assistance',
               step: iterations
             });
+            noteOutcome('await_assistance');
             status = 'await_assistance';
             await delay(800);
             continue;
@@ -1880,12 +3463,14 @@ export async function runAgent({
             step: iterations,
             status: selection.status || 'unknown'
           });
+          noteOutcome('click_unresolved', { detail: selection.status || 'unknown' });
           status = 'halt';
           break;
         }
 
         console.warn(`[nerovaagent] unsupported action ${decision.action}`);
         await runSession.log(`unsupported action ${decision.action}`);
+        noteOutcome('unsupported');
         status = 'halt';
         break;
       }
@@ -1898,20 +3483,54 @@ export async function runAgent({
       throw error;
     }
 
+    if (status !== 'aborted') {
+      await flushOutcome();
+    }
+
     if (status === 'aborted') {
       const abortError = new Error('run_aborted');
       runError = abortError;
       throw abortError;
     }
 
+    if (status === 'budget_exceeded') {
+      const exceeded = summaryExtra.budget || {};
+      console.warn(`[nerovaagent] ${exceeded.limit} budget exceeded (${exceeded.value} >= ${exceeded.max}); stopping run.`);
+    }
+
+    if (status === 'stop' && outputSchema && result === null) {
+      console.warn('[nerovaagent] run stopped without an answer matching --output-schema.');
+    }
+
+    if (status === 'needs_input') {
+      console.warn(`[nerovaagent] critic needs an answer to "${summaryExtra.question?.question}"; rerun on a TTY or add it to --answers-file.`);
+    }
+
+    if (status === 'stuck') {
+      const { reason, repeated = [] } = summaryExtra.stuck || {};
+      console.warn(`[nerovaagent] agent is stuck (${reason}: ${repeated.join(' / ')}); stopping run.`);
+    }
+
     if (status !== 'stop') {
       await runSession.log(`run finished with status ${status}`);
     } else {
       await runSession.log(`run completed after ${iterations} iterations`);
     }
 
-    return { iterations, status, completeHistory };
+    return {
+      iterations,
+      status,
+      completeHistory,
+      usage: runSession.usage,
+      budget: summaryExtra.budget || null,
+      stuck: summaryExtra.stuck || null,
+      question: summaryExtra.question || null,
+      result,
+      verified: summaryExtra.verified ?? null,
+      verification: summaryExtra.verification || null
+    };
   } finally {
+    tabs?.dispose();
     const keepBrowser = process.env.NEROVA_KEEP_BROWSER === '1' || warmExplicit;
     if (!keepBrowser) {
       await context.close().catch(() => {});
@@ -1921,7 +3540,10 @@ export async function runAgent({
       sharedContext = context;
     }
     if (runSession) {
-      await endRunSession(runError ? 'error' : status, runError ? { error: runError?.message || String(runError) } : {});
+      await endRunSession(runError ? 'error' : status, {
+        ...summaryExtra,
+        ...(runError ? { error: runError?.message || String(runError) } : {})
+      });
     }
   }
 }
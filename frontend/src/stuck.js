@@ -0,0 +1,100 @@
+import { gridDifference } from './imagediff.js';
+
+export const SCREEN_CHANGE_MIN = 0.002;
+export const STUCK_WINDOW = (() => {
+  const parsed = Number(process.env.NEROVA_STUCK_WINDOW);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : 6;
+})();
+export const STUCK_REPEAT = 3;
+export const STUCK_ESCALATIONS = ['inform', 'alternate', 'ask_human', 'stop'];
+
+export function describeEffect({ action, step, before }, after) {
+  const urlChanged = before.url !== after.url;
+  const tabChanged = before.tab !== after.tab;
+  const screenDiff = gridDifference(before.grid, after.grid);
+  const domMutations = !urlChanged && !tabChanged && Number.isFinite(before.mutations) && Number.isFinite(after.mutations)
+    ? Math.max(0, after.mutations - before.mutations)
+    : null;
+  const focusChanged = before.focus !== after.focus;
+  const changed = urlChanged || tabChanged || focusChanged || (screenDiff !== null && screenDiff >= SCREEN_CHANGE_MIN);
+  return {
+    action,
+    step,
+    changed,
+    url_changed: urlChanged,
+    url: after.url,
+    tab_changed: tabChanged,
+    screen_diff: screenDiff === null ? null : Math.round(screenDiff * 1000) / 1000,
+    dom_mutations: domMutations,
+    focus_changed: focusChanged,
+    focus: after.focus,
+    ...(changed ? {} : { note: 'last action had no visible effect' })
+  };
+}
+
+export function sameScreen(a, b) {
+  const diff = gridDifference(a, b);
+  return diff !== null && diff < SCREEN_CHANGE_MIN;
+}
+
+export function createStuckDetector({ size = STUCK_WINDOW, repeat = STUCK_REPEAT } = {}) {
+  let entries = [];
+  let noEffect = 0;
+  let progress = 0;
+  let level = 0;
+  let state = null;
+
+  const detect = (signature) => {
+    const repeated = entries.filter((entry) => entry.signature === signature);
+    if (repeated.length >= repeat) {
+      return { reason: 'repeated_action', signatures: [signature], count: repeated.length };
+    }
+    const recent = entries.slice(-4);
+    if (recent.length === 4
+      && recent[0].signature === recent[2].signature
+      && recent[1].signature === recent[3].signature
+      && recent[0].signature !== recent[1].signature
+      && (!recent[0].grid || !recent[2].grid || sameScreen(recent[0].grid, recent[2].grid))) {
+      return { reason: 'oscillating', signatures: [recent[0].signature, recent[1].signature], count: 4 };
+    }
+    if (noEffect >= repeat) {
+      return { reason: 'no_effect', signatures: [...new Set(entries.slice(-noEffect).map((entry) => entry.signature))], count: noEffect };
+    }
+    if (entries.length >= size && entries.every((entry) => sameScreen(entry.grid, entries[0].grid))) {
+      return { reason: 'unchanged_screen', signatures: [...new Set(entries.map((entry) => entry.signature))], count: entries.length };
+    }
+    return null;
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+    avoids(signature) {
+      return Boolean(state && state.level >= 2 && state.avoid.includes(signature));
+    },
+    recordEffect(effect) {
+      if (!effect) return;
+      noEffect = effect.changed ? 0 : noEffect + 1;
+    },
+    observe({ signature, grid, completed = 0 }) {
+      if (completed > progress) {
+        progress = completed;
+        entries = [];
+        noEffect = 0;
+        level = 0;
+        state = null;
+      }
+      entries.push({ signature, grid });
+      if (entries.length > size) entries.shift();
+      const found = detect(signature);
+      if (!found) return null;
+      level = Math.min(level + 1, STUCK_ESCALATIONS.length);
+      entries = [];
+      noEffect = 0;
+      const avoid = [...new Set([...(state?.avoid || []), ...found.signatures])];
+      state = { level, reason: found.reason, repeated: found.signatures, count: found.count, avoid };
+      return { ...state, escalation: STUCK_ESCALATIONS[level - 1] };
+    }
+  };
+}
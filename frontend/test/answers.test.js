@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findAnswer, resolveChoice } from '../src/answers.js';
+
+const answers = {
+  'Which plan?': 'Pro',
+  'shipping': 'Express',
+  'email': 'ops@example.com',
+  '*': 'skip'
+};
+
+test('findAnswer prefers an exact question over a keyword', () => {
+  assert.equal(findAnswer(answers, '  which   PLAN? '), 'Pro');
+  assert.equal(findAnswer({ ...answers, plan: 'Basic' }, 'Which plan?'), 'Pro');
+  assert.equal(findAnswer(answers, 'Which shipping speed should I pick?'), 'Express');
+});
+
+test('findAnswer takes the first matching keyword and then the fallback', () => {
+  assert.equal(findAnswer(answers, 'Shipping email address?'), 'Express');
+  assert.equal(findAnswer(answers, 'Gift wrap?'), 'skip');
+  assert.equal(findAnswer({ 'gift wrap': 'no' }, 'Coupon code?'), null);
+});
+
+test('findAnswer ignores unusable answers files', () => {
+  assert.equal(findAnswer(null, 'Which plan?'), null);
+  assert.equal(findAnswer('Pro', 'Which plan?'), null);
+  assert.equal(findAnswer({ plan: 3, '': 'blank', '*': 7 }, 'Which plan?'), null);
+});
+
+test('resolveChoice maps a number or a case-insensitive label to a choice', () => {
+  const choices = ['Standard', 'Express delivery'];
+  assert.equal(resolveChoice('2', choices), 'Express delivery');
+  assert.equal(resolveChoice(' express  DELIVERY ', choices), 'Express delivery');
+  assert.equal(resolveChoice('3', choices), '3');
+  assert.equal(resolveChoice('0', choices), '0');
+  assert.equal(resolveChoice('Overnight', choices), 'Overnight');
+  assert.equal(resolveChoice('1'), '1');
+  assert.equal(resolveChoice(null, choices), '');
+});
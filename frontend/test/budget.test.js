@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, addUsage, createBudget, exceededBudget } from '../src/budget.js';
+
+test('parseDuration accepts units and defaults to seconds', () => {
+  assert.equal(parseDuration('90'), 90000);
+  assert.equal(parseDuration('1.5m'), 90000);
+  assert.equal(parseDuration('250ms'), 250);
+  assert.equal(parseDuration('2H'), 2 * 60 * 60 * 1000);
+  assert.equal(parseDuration('0s'), null);
+  assert.equal(parseDuration('-5s'), null);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(parseDuration(undefined), null);
+});
+
+test('createBudget drops unset and non-positive limits', () => {
+  assert.deepEqual(createBudget({ maxDurationMs: 60000, maxCostUsd: '0.5', maxTokens: 0 }), {
+    maxDurationMs: 60000,
+    maxCostUsd: 0.5,
+    maxTokens: null
+  });
+  assert.deepEqual(createBudget(), { maxDurationMs: null, maxCostUsd: null, maxTokens: null });
+});
+
+test('exceededBudget trips at the limit and reports which one', () => {
+  const budget = createBudget({ maxDurationMs: 60000, maxCostUsd: 0.5, maxTokens: 1000 });
+  assert.equal(exceededBudget(budget, { elapsedMs: 59999, costUsd: 0.49, totalTokens: 999 }), null);
+  assert.deepEqual(exceededBudget(budget, { elapsedMs: 60000 }), { limit: 'duration', value: 60000, max: 60000 });
+  assert.deepEqual(exceededBudget(budget, { costUsd: 0.5 }), { limit: 'cost', value: 0.5, max: 0.5 });
+  assert.deepEqual(exceededBudget(budget, { totalTokens: 1200 }), { limit: 'tokens', value: 1200, max: 1000 });
+  assert.equal(exceededBudget(budget, { elapsedMs: 61000, costUsd: 1 }).limit, 'duration');
+  assert.equal(exceededBudget(createBudget(), { elapsedMs: 1e9, costUsd: 100, totalTokens: 1e9 }), null);
+});
+
+test('addUsage accumulates the totals a budget is checked against', () => {
+  let usage = addUsage(null, { calls: 1, inputTokens: 300, outputTokens: 50, totalTokens: 350, costUsd: 0.2 });
+  usage = addUsage(usage, { calls: 1, totalTokens: '650', costUsd: 0.3 });
+  usage = addUsage(usage, null);
+  assert.deepEqual(usage, { calls: 2, inputTokens: 300, outputTokens: 50, totalTokens: 1000, costUsd: 0.5 });
+  assert.equal(exceededBudget(createBudget({ maxTokens: 1000 }), usage).limit, 'tokens');
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { luminanceGrid, gridDifference } from '../src/imagediff.js';
+import { describeEffect } from '../src/stuck.js';
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+function png(width, height, pixel) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const rows = [];
+  for (let y = 0; y < height; y += 1) {
+    const row = Buffer.alloc(1 + width * 3);
+    row[0] = y === 0 ? 0 : 2;
+    for (let x = 0; x < width; x += 1) {
+      const value = pixel(x, y);
+      const above = y === 0 ? 0 : pixel(x, y - 1);
+      row.fill((value - above) & 0xff, 1 + x * 3, 4 + x * 3);
+    }
+    rows.push(row);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+test('luminanceGrid averages each cell of a filtered PNG', () => {
+  const grid = luminanceGrid(png(8, 8, (x, y) => (x < 4 ? 0 : y < 4 ? 200 : 100)), 2);
+  assert.deepEqual([...grid], [0, 200, 0, 100]);
+  assert.equal(luminanceGrid(png(8, 8, () => 0)).length, 32 * 32);
+  assert.equal(luminanceGrid(Buffer.from('not a png')), null);
+  assert.equal(luminanceGrid(null), null);
+});
+
+test('gridDifference counts cells that moved past the threshold', () => {
+  const before = new Uint8Array([10, 10, 10, 10]);
+  assert.equal(gridDifference(before, new Uint8Array([10, 17, 18, 250])), 0.5);
+  assert.equal(gridDifference(before, before), 0);
+  assert.equal(gridDifference(before, new Uint8Array(16)), null);
+  assert.equal(gridDifference(null, before), null);
+});
+
+const state = (overrides = {}) => ({
+  url: 'https://example.com/',
+  tab: 1,
+  focus: null,
+  mutations: 10,
+  grid: new Uint8Array(1000),
+  ...overrides
+});
+
+test('describeEffect flags actions that changed nothing', () => {
+  const effect = describeEffect({ action: 'click', step: 3, before: state() }, state({ mutations: 14 }));
+  assert.equal(effect.changed, false);
+  assert.equal(effect.screen_diff, 0);
+  assert.equal(effect.dom_mutations, 4);
+  assert.equal(effect.note, 'last action had no visible effect');
+});
+
+test('describeEffect reports navigation, focus and visible screen changes', () => {
+  const moved = describeEffect({ action: 'click', step: 1, before: state() }, state({ url: 'https://example.com/next' }));
+  assert.equal(moved.changed, true);
+  assert.equal(moved.url_changed, true);
+  assert.equal(moved.dom_mutations, null);
+  assert.equal('note' in moved, false);
+
+  const focused = describeEffect({ action: 'click', step: 1, before: state() }, state({ focus: 'input#q' }));
+  assert.equal(focused.changed, true);
+  assert.equal(focused.focus_changed, true);
+
+  const grid = new Uint8Array(1000);
+  grid.fill(255, 0, 3);
+  const repainted = describeEffect({ action: 'scroll', step: 2, before: state() }, state({ grid }));
+  assert.equal(repainted.changed, true);
+  assert.equal(repainted.screen_diff, 0.003);
+
+  grid.fill(0, 1, 3);
+  assert.equal(describeEffect({ action: 'scroll', step: 2, before: state() }, state({ grid })).changed, false);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreCandidates, pickFuzzyMatch } from '../src/matching.js';
+
+const roles = new Set(['button']);
+
+test('near-identical labels fall back instead of guessing', () => {
+  const scored = scoreCandidates([
+    { id: 'in', name: 'Sign in', role: 'button', center: [600, 40], hit_state: 'hittable' },
+    { id: 'up', name: 'Sign up', role: 'button', center: [680, 40], hit_state: 'hittable' }
+  ], { hints: { text: ['Sign'] }, center: [640, 40], radius: 120, roles });
+  assert.ok(scored[0].score >= 0.75);
+  const { match, reason, runnerUp } = pickFuzzyMatch(scored);
+  assert.equal(match, null);
+  assert.equal(reason, 'ambiguous');
+  assert.ok(['in', 'up'].includes(runnerUp.id));
+});
+
+test('a clear winner is still matched', () => {
+  const scored = scoreCandidates([
+    { id: 'in', name: 'Sign in', role: 'button', center: [600, 40], hit_state: 'hittable' },
+    { id: 'up', name: 'Sign up', role: 'button', center: [680, 40], hit_state: 'hittable' }
+  ], { hints: { text: ['sign-in'] }, center: [640, 40], radius: 120, roles });
+  const { match } = pickFuzzyMatch(scored);
+  assert.equal(match?.id, 'in');
+});
+
+test('duplicate nodes for the same control do not count as a runner-up', () => {
+  const scored = scoreCandidates([
+    { id: 'a', name: 'Checkout now', role: 'button', center: [300, 500], hit_state: 'hittable' },
+    { id: 'b', name: 'Checkout now', role: 'button', center: [301, 500], hit_state: 'hittable' }
+  ], { hints: { text: ['Checkout'] }, center: [300, 500], radius: 120, roles });
+  assert.ok(pickFuzzyMatch(scored).match);
+});
+
+test('an occluded or offscreen winner is never clicked by coordinates', () => {
+  for (const hitState of ['occluded', 'offscreen']) {
+    const scored = scoreCandidates([
+      { id: 'buy', name: 'Buy now', role: 'button', center: [400, 300], hit_state: hitState }
+    ], { hints: { text_exact: ['Buy now'] }, center: [400, 300], radius: 120, roles });
+    assert.ok(scored[0].score >= 0.75, hitState);
+    const { match, reason } = pickFuzzyMatch(scored);
+    assert.equal(match, null);
+    assert.equal(reason, 'not_hittable');
+  }
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStuckDetector } from '../src/stuck.js';
+
+const screen = (value) => new Uint8Array(16).fill(value);
+
+function repeat(detector, signature, times, extra = {}) {
+  let verdict = null;
+  for (let i = 0; i < times; i += 1) verdict = detector.observe({ signature, ...extra });
+  return verdict;
+}
+
+test('repeated actions escalate one level per detection and cap at stop', () => {
+  const detector = createStuckDetector({ size: 6 });
+  assert.equal(repeat(detector, 'click "next"', 2), null);
+  assert.equal(detector.observe({ signature: 'click "next"' }).level, 1);
+  const levels = [];
+  for (let i = 0; i < 4; i += 1) {
+    const verdict = repeat(detector, 'click "next"', 3);
+    assert.equal(verdict.reason, 'repeated_action');
+    levels.push([verdict.level, verdict.escalation]);
+  }
+  assert.deepEqual(levels, [[2, 'alternate'], [3, 'ask_human'], [4, 'stop'], [4, 'stop']]);
+});
+
+test('looping signatures are only avoided from the alternate level on', () => {
+  const detector = createStuckDetector({ size: 6 });
+  repeat(detector, 'click "next"', 3);
+  assert.equal(detector.state.level, 1);
+  assert.equal(detector.avoids('click "next"'), false);
+
+  const verdict = repeat(detector, 'scroll down', 3);
+  assert.equal(verdict.escalation, 'alternate');
+  assert.deepEqual(verdict.avoid, ['click "next"', 'scroll down']);
+  assert.equal(detector.avoids('click "next"'), true);
+  assert.equal(detector.avoids('scroll down'), true);
+  assert.equal(detector.avoids('type "query"'), false);
+});
+
+test('progress resets the escalation and the avoid list', () => {
+  const detector = createStuckDetector({ size: 6 });
+  repeat(detector, 'click "next"', 6);
+  assert.equal(detector.avoids('click "next"'), true);
+  assert.equal(detector.observe({ signature: 'click "next"', completed: 1 }), null);
+  assert.equal(detector.state, null);
+  assert.equal(detector.avoids('click "next"'), false);
+  assert.equal(repeat(detector, 'click "next"', 2, { completed: 1 }).escalation, 'inform');
+});
+
+test('alternating actions over the same screen are oscillation', () => {
+  const detector = createStuckDetector({ size: 6 });
+  assert.equal(detector.observe({ signature: 'open menu', grid: screen(10) }), null);
+  assert.equal(detector.observe({ signature: 'close menu', grid: screen(200) }), null);
+  assert.equal(detector.observe({ signature: 'open menu', grid: screen(10) }), null);
+  const verdict = detector.observe({ signature: 'close menu', grid: screen(200) });
+  assert.equal(verdict.reason, 'oscillating');
+  assert.deepEqual(verdict.repeated, ['open menu', 'close menu']);
+
+  const moving = createStuckDetector({ size: 6 });
+  for (const [signature, value] of [['open menu', 10], ['close menu', 60], ['open menu', 120], ['close menu', 180]]) {
+    assert.equal(moving.observe({ signature, grid: screen(value) }), null);
+  }
+});
+
+test('actions without effect and an unchanged screen are detected', () => {
+  const detector = createStuckDetector({ size: 6 });
+  for (const signature of ['click a', 'click b']) {
+    detector.recordEffect({ changed: false });
+    assert.equal(detector.observe({ signature }), null);
+  }
+  detector.recordEffect({ changed: false });
+  const verdict = detector.observe({ signature: 'click c' });
+  assert.equal(verdict.reason, 'no_effect');
+  assert.deepEqual(verdict.repeated, ['click a', 'click b', 'click c']);
+
+  const changed = createStuckDetector({ size: 6 });
+  for (const signature of ['click a', 'click b', 'click c', 'click d']) {
+    changed.recordEffect({ changed: signature === 'click b' });
+    assert.equal(changed.observe({ signature }), null);
+  }
+
+  const frozen = createStuckDetector({ size: 3 });
+  assert.equal(frozen.observe({ signature: 'a', grid: screen(50) }), null);
+  assert.equal(frozen.observe({ signature: 'b', grid: screen(51) }), null);
+  assert.equal(frozen.observe({ signature: 'c', grid: screen(50) }).reason, 'unchanged_screen');
+});